@@ -5,19 +5,45 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs'; // NOVO: File System para ler os logs
 
-import logger from './src/utils/logger.js';
-import { appConfig, jobsConfig } from './src/config/index.js';
-import { createJobLoop } from './src/jobs/job.scheduler.js';
+import logger, { logDir } from './src/utils/logger.js';
+import { appConfig, mapConfig, authConfig } from './src/config/index.js';
+import { createJobLoop, getJobController, getJobControllers } from './src/jobs/job.scheduler.js';
 import statusManager from './src/utils/statusManager.js';
+import fleetManager from './src/utils/fleetManager.js';
+import alertManager from './src/alerts/alert.manager.js';
+import { listRuns } from './src/utils/runHistory.js';
+import { listRawArchives, resolveRawArchive, readRawArchive } from './src/utils/rawArchive.js';
+import { startLiveTail, searchLogs, LOG_ROOM } from './src/utils/logViewer.js';
+import { listQuarantine } from './src/sankhya/sankhya.quarantine.js';
+import { getQualityStats, listRejected } from './src/quality/quality.filter.js';
+import { listUnregistered } from './src/sankhya/sankhya.unregistered.js';
+import { listDryRunReports, getDryRunReport, dryRunReportToCsv } from './src/sankhya/sankhya.dryrun.js';
+import { getGeofences } from './src/geofence/geofence.engine.js';
+import { getRecentGeofenceEvents } from './src/geofence/geofence.events.js';
+import { getLiveness, getReadiness, CHECK_STATUS } from './src/health/health.checks.js';
+import { ROLE, hasRole } from './src/auth/auth.users.js';
+import { createSessionToken, buildSessionCookie } from './src/auth/auth.session.js';
+import {
+  userStore,
+  resolveUser,
+  requireRole,
+  authenticateSocket,
+  getLoginRetryAfter,
+  registerLoginFailure,
+  clearLoginFailures,
+} from './src/auth/auth.middleware.js';
 
-// Jobs
-import * as atualcargoJob from './src/jobs/atualcargo.job.js';
-import * as sitraxJob from './src/jobs/sitrax.job.js';
+// Conectores (carregados automaticamente de src/connectors/*.connector.js)
+import { loadConnectors, getConnectors, getEnabledConnectors } from './src/connectors/registry.js';
+import { createConnectorJob } from './src/jobs/connector.job.js';
+import { startBackfill, cancelBackfill, listBackfills } from './src/jobs/job.backfill.js';
+
+await loadConnectors();
 
 // --- Workaround para __dirname em ES Modules ---
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const LOG_DIR = path.join(__dirname, 'logs'); // NOVO: Caminho para a pasta de logs
+const LOG_DIR = logDir; // Pasta de logs do winston
 
 // --- Capturadores Globais ---
 process.on('uncaughtException', (error) => {
@@ -32,24 +58,119 @@ process.on('unhandledRejection', (reason, promise) => {
 const app = express();
 const httpServer = http.createServer(app);
 const io = new Server(httpServer);
+app.set('trust proxy', authConfig.trustProxy);
 
 statusManager.init(io);
-app.use(express.static(path.join(__dirname, 'public')));
+alertManager.init();
+startLiveTail();
+app.use(express.json());
 
-// --- 2. (NOVO) Middleware de Autenticação para Logs ---
-const checkLogToken = (req, res, next) => {
-  const { token } = req.query;
-  if (!token || token !== appConfig.logToken) {
-    logger.warn(`[Monitor] Tentativa de acesso aos logs falhou. IP: ${req.ip}`);
-    return res.status(403).json({ error: 'Acesso negado. Token inválido.' });
+// --- Saúde (sem autenticação: usada pelo Docker e por orquestradores) ---
+// live: o processo responde | ready: Sankhya, fornecedores, outbox e logs (503 se algo falhar)
+app.get('/health/live', (req, res) => {
+  res.json(getLiveness());
+});
+app.get('/health/ready', async (req, res) => {
+  const readiness = await getReadiness();
+  if (readiness.status === CHECK_STATUS.FAIL) {
+    logger.debug(`[Saúde] Hub não está pronto: ${JSON.stringify(readiness.checks)}`);
   }
-  next();
-};
+  res.status(readiness.status === CHECK_STATUS.FAIL ? 503 : 200).json(readiness);
+});
+
+// --- 2. Autenticação (login, sessão e perfis) ---
+// viewer: status e mapa | operator: + controle dos jobs | admin: + logs, quarentena, alertas e usuários
+const viewer = requireRole(ROLE.VIEWER);
+const operator = requireRole(ROLE.OPERATOR);
+const admin = requireRole(ROLE.ADMIN);
+
+io.use(authenticateSocket);
+
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
+app.post('/api/auth/login', (req, res) => {
+  const username = String(req.body?.username || '');
+  const retryAfter = getLoginRetryAfter(req.ip, username);
+  if (retryAfter > 0) {
+    logger.warn(`[Monitor] Login de "${username}" bloqueado por excesso de tentativas. IP: ${req.ip}`);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: `Muitas tentativas. Tente novamente em ${Math.ceil(retryAfter / 60)} min.` });
+  }
+
+  const user = userStore.authenticate(username, String(req.body?.password || ''));
+  if (!user) {
+    registerLoginFailure(req.ip, username);
+    logger.warn(`[Monitor] Falha de login para "${username}". IP: ${req.ip}`);
+    return res.status(401).json({ error: 'Usuário ou senha inválidos.' });
+  }
+
+  clearLoginFailures(req.ip, username);
+  const { token, expiresAt } = createSessionToken(user, userStore.getTokenVersion(user.username));
+  res.set('Set-Cookie', buildSessionCookie(token, expiresAt));
+  logger.info(`[Monitor] Login de ${user.username} (${user.role}). IP: ${req.ip}`);
+  // O token também é devolvido para clientes de API (Authorization: Bearer)
+  res.json({ ...user, token, expiresAt });
+});
+
+// Encerra todas as sessões do usuário (o token deixa de valer mesmo se tiver sido copiado)
+app.post('/api/auth/logout', (req, res) => {
+  const user = resolveUser(req.headers);
+  if (user) {
+    userStore.revokeSessions(user.username);
+    logger.info(`[Monitor] Logout de ${user.username}. IP: ${req.ip}`);
+  }
+  res.set('Set-Cookie', buildSessionCookie(''));
+  res.json({ ok: true });
+});
+
+app.get('/api/auth/me', viewer, (req, res) => {
+  res.json(req.user);
+});
+
+// Cadastro de usuários (admin)
+app.get('/api/users', admin, (req, res) => {
+  res.json(userStore.list());
+});
+
+app.post('/api/users', admin, (req, res) => {
+  const { username, password, role } = req.body || {};
+  try {
+    const user = userStore.add(username, password, role);
+    logger.info(`[Monitor] Usuário ${user.username} (${user.role}) criado por ${req.user.username}.`);
+    res.status(201).json(user);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put('/api/users/:username', admin, (req, res) => {
+  const { password, role } = req.body || {};
+  try {
+    const user = userStore.update(req.params.username, { password, role });
+    logger.info(`[Monitor] Usuário ${user.username} alterado por ${req.user.username}.`);
+    res.json(user);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/users/:username', admin, (req, res) => {
+  if (req.params.username === req.user.username) {
+    return res.status(400).json({ error: 'Não é possível remover o próprio usuário.' });
+  }
+  if (!userStore.remove(req.params.username)) {
+    return res.status(404).json({ error: `Usuário "${req.params.username}" não encontrado.` });
+  }
+  logger.info(`[Monitor] Usuário ${req.params.username} removido por ${req.user.username}.`);
+  res.json({ ok: true });
+});
 
 // --- 3. (NOVAS) Rotas da API de Logs ---
 
 // Rota para LISTAR os arquivos de log
-app.get('/api/logs', checkLogToken, async (req, res) => {
+app.get('/api/logs', admin, async (req, res) => {
   try {
     const files = await fs.promises.readdir(LOG_DIR);
     // Filtra para enviar apenas arquivos .log ou .gz (logs comprimidos)
@@ -61,8 +182,25 @@ app.get('/api/logs', checkLogToken, async (req, res) => {
   }
 });
 
+// Rota para BUSCAR nos logs (inclusive rotacionados e .gz)
+// Filtros: from, to, level, service, q (texto livre), limit, offset
+app.get('/api/logs/search', admin, async (req, res) => {
+  const { from, to, level, service, q } = req.query;
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({ error: 'Parâmetros from/to devem ser datas válidas.' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  try {
+    res.json(await searchLogs({ from, to, level, service, q, limit, offset }));
+  } catch (err) {
+    logger.error('[Monitor] Erro ao buscar nos logs:', err);
+    res.status(500).json({ error: 'Erro ao buscar nos logs.' });
+  }
+});
+
 // Rota para FAZER O DOWNLOAD de um arquivo de log
-app.get('/api/download/:filename', checkLogToken, (req, res) => {
+app.get('/api/download/:filename', admin, (req, res) => {
   const { filename } = req.params;
   
   // Medida de segurança (Path Traversal)
@@ -81,28 +219,247 @@ app.get('/api/download/:filename', checkLogToken, (req, res) => {
   });
 });
 
-// --- 4. Rotas Públicas do Painel ---
+// Rota para LISTAR as respostas brutas dos fornecedores (filtros: job, cycleId, from, to, limit)
+app.get('/api/raw-archive', admin, (req, res) => {
+  const { job, cycleId, from, to } = req.query;
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({ error: 'Parâmetros from/to devem ser datas válidas.' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+  try {
+    res.json(listRawArchives({ job, cycleId, from, to, limit }));
+  } catch (err) {
+    logger.error('[Monitor] Erro ao listar as respostas brutas:', err);
+    res.status(500).json({ error: 'Erro ao listar as respostas brutas.' });
+  }
+});
+
+// Rota para BAIXAR uma resposta bruta (.json.gz, ou descompactada com ?format=json)
+app.get('/api/raw-archive/:job/:day/:file', admin, (req, res) => {
+  const { job, day, file } = req.params;
+  const filePath = resolveRawArchive(job, day, file);
+  if (!filePath) {
+    return res.status(404).send('Arquivo não encontrado.');
+  }
+
+  if (req.query.format === 'json') {
+    try {
+      return res.json(readRawArchive(filePath));
+    } catch (err) {
+      logger.error(`[Monitor] Falha ao ler a resposta bruta "${file}":`, err);
+      return res.status(500).json({ error: 'Arquivo corrompido.' });
+    }
+  }
+  res.download(filePath, (err) => {
+    if (err) {
+      logger.error(`[Monitor] Falha ao baixar a resposta bruta "${file}":`, err);
+      if (!res.headersSent) {
+        res.status(404).send('Arquivo não encontrado.');
+      }
+    }
+  });
+});
+
+// Rota para LISTAR os registros rejeitados pelo Sankhya (quarentena)
+app.get('/api/quarantine', admin, (req, res) => {
+  const { source } = req.query;
+  const limit = parseInt(req.query.limit, 10) || undefined;
+  try {
+    res.json(listQuarantine({ source, limit }));
+  } catch (err) {
+    logger.error('[Monitor] Erro ao ler a quarentena:', err);
+    res.status(500).json({ error: 'Erro ao ler a quarentena.' });
+  }
+});
+
+// Regras de qualidade de cada job e contadores de rejeição por regra
+app.get('/api/quality', viewer, (req, res) => {
+  const jobs = Object.fromEntries(getConnectors().map(connector => [connector.name, connector.config.quality]));
+  res.json({ jobs, stats: getQualityStats() });
+});
+
+// Rota para LISTAR as posições barradas pelas regras de qualidade (filtros: job, rule, limit)
+app.get('/api/quality/rejected', admin, (req, res) => {
+  const { job, rule } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 500, 1000);
+  try {
+    res.json(listRejected({ job, rule, limit }));
+  } catch (err) {
+    logger.error('[Monitor] Erro ao ler as posições rejeitadas:', err);
+    res.status(500).json({ error: 'Erro ao ler as posições rejeitadas.' });
+  }
+});
+
+// --- (NOVO) Rotas de Controle dos Jobs ---
+
+// Resolve o controlador do job da URL ou responde 404
+const withJobController = (req, res, next) => {
+  req.jobController = getJobController(req.params.name);
+  if (!req.jobController) {
+    return res.status(404).json({ error: `Job "${req.params.name}" não encontrado.` });
+  }
+  next();
+};
+
+app.get('/api/jobs', operator, (req, res) => {
+  res.json(getJobControllers().map(controller => ({ name: controller.name, ...controller.getState() })));
+});
+
+app.post('/api/jobs/:name/run', operator, withJobController, (req, res) => {
+  if (!req.jobController.triggerNow()) {
+    return res.status(409).json({ error: 'O job já está em execução.' });
+  }
+  logger.info(`[Monitor] Execução imediata de ${req.jobController.name} solicitada por ${req.user.username}. IP: ${req.ip}`);
+  res.json({ name: req.jobController.name, ...req.jobController.getState() });
+});
+
+app.post('/api/jobs/:name/pause', operator, withJobController, (req, res) => {
+  if (!req.jobController.pause()) {
+    return res.status(409).json({ error: 'O job já está pausado.' });
+  }
+  logger.info(`[Monitor] Job ${req.jobController.name} pausado por ${req.user.username}. IP: ${req.ip}`);
+  res.json({ name: req.jobController.name, ...req.jobController.getState() });
+});
+
+app.post('/api/jobs/:name/resume', operator, withJobController, (req, res) => {
+  if (!req.jobController.resume()) {
+    return res.status(409).json({ error: 'O job não está pausado.' });
+  }
+  logger.info(`[Monitor] Job ${req.jobController.name} retomado por ${req.user.username}. IP: ${req.ip}`);
+  res.json({ name: req.jobController.name, ...req.jobController.getState() });
+});
+
+app.post('/api/jobs/:name/cancel-retry', operator, withJobController, (req, res) => {
+  if (!req.jobController.cancelPendingRetry()) {
+    return res.status(409).json({ error: 'O job não está aguardando retentativa.' });
+  }
+  logger.info(`[Monitor] Retentativa de ${req.jobController.name} cancelada por ${req.user.username}. IP: ${req.ip}`);
+  res.json({ name: req.jobController.name, ...req.jobController.getState() });
+});
+
+app.put('/api/jobs/:name/interval', operator, withJobController, (req, res) => {
+  const intervalMs = parseInt(req.body?.intervalMs, 10);
+  if (!Number.isInteger(intervalMs) || intervalMs < 10000) {
+    return res.status(400).json({ error: 'intervalMs deve ser um número inteiro de no mínimo 10000 (10s).' });
+  }
+  req.jobController.setInterval(intervalMs);
+  logger.info(`[Monitor] Intervalo de ${req.jobController.name} alterado para ${intervalMs}ms por ${req.user.username}. IP: ${req.ip}`);
+  res.json({ name: req.jobController.name, ...req.jobController.getState() });
+});
+
+// --- Reimportação (backfill) de um intervalo ---
+app.get('/api/backfill', admin, (req, res) => {
+  res.json(listBackfills());
+});
+
+// Corpo: { job, from, to, assets?: [placas/iscas] ou 'A,B', source?: 'history' | 'archive' }
+app.post('/api/backfill', admin, (req, res) => {
+  const { job, from, to, assets, source } = req.body || {};
+  const connector = getConnectors().find(c => c.name.toLowerCase() === String(job || '').toLowerCase());
+  if (!connector) {
+    return res.status(404).json({ error: `Conector "${job}" não encontrado.` });
+  }
+  try {
+    res.status(202).json(startBackfill(connector, { from, to, assets, source }, req.user.username));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/backfill/:id/cancel', admin, (req, res) => {
+  const backfill = cancelBackfill(req.params.id);
+  if (!backfill) {
+    return res.status(404).json({ error: 'Reimportação não encontrada.' });
+  }
+  res.json(backfill);
+});
+
+// Envia uma notificação de teste por todos os canais de alerta configurados
+app.post('/api/alerts/test', admin, async (req, res) => {
+  logger.info(`[Monitor] Teste de alertas solicitado. IP: ${req.ip}`);
+  res.json(await alertManager.sendTest());
+});
+
+// --- 4. Rotas do Painel (perfil viewer) ---
 app.get('/', (req, res) => {
+  if (!resolveUser(req.headers)) return res.redirect('/login');
   res.sendFile(path.join(__dirname, 'public', 'monitor.html'));
 });
-app.get('/status', (req, res) => {
+app.get('/status', viewer, (req, res) => {
   res.json(statusManager.getStatus());
 });
+// Alertas ativos (falhas, contingência, sem inserções, autenticação)
+app.get('/api/alerts', viewer, (req, res) => {
+  res.json(alertManager.getActiveAlerts());
+});
+// Veículos/iscas recebidos dos rastreadores sem cadastro no Sankhya
+app.get('/api/unregistered', viewer, (req, res) => {
+  res.json(listUnregistered({ source: req.query.source }));
+});
+// Histórico de execuções dos jobs (filtros: job, status, errorClass, from, to, limit, offset)
+app.get('/api/runs', viewer, (req, res) => {
+  const { job, status, errorClass, from, to } = req.query;
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+    return res.status(400).json({ error: 'Parâmetros from/to devem ser datas válidas.' });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const offset = parseInt(req.query.offset, 10) || 0;
+  res.json(listRuns({ job, status, errorClass, from, to, limit, offset }));
+});
+// Relatórios do modo simulação (dry-run): lista (filtros: job, limit) e relatório completo
+app.get('/api/dry-run', viewer, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  res.json(listDryRunReports({ job: req.query.job, limit }));
+});
+// ?format=csv ou ?format=json baixam o relatório como arquivo
+app.get('/api/dry-run/:id', viewer, (req, res) => {
+  const report = getDryRunReport(req.params.id);
+  if (!report) {
+    return res.status(404).json({ error: 'Relatório não encontrado.' });
+  }
+  const baseName = `simulacao-${report.job}-${report.target}-${report.createdAt.replace(/[:.]/g, '-')}`;
+  if (req.query.format === 'csv') {
+    res.attachment(`${baseName}.csv`);
+    return res.type('text/csv; charset=utf-8').send(dryRunReportToCsv(report));
+  }
+  if (req.query.format === 'json') res.attachment(`${baseName}.json`);
+  res.json(report);
+});
+// Mapa da frota: configuração dos tiles e última posição de cada ativo
+app.get('/api/map/config', viewer, (req, res) => {
+  res.json(mapConfig);
+});
+app.get('/api/fleet', viewer, (req, res) => {
+  res.json(fleetManager.getUnits());
+});
+// Cercas configuradas e eventos recentes de entrada/saída/permanência
+app.get('/api/geofences', viewer, (req, res) => {
+  res.json(getGeofences());
+});
+app.get('/api/geofence-events', viewer, (req, res) => {
+  res.json(getRecentGeofenceEvents());
+});
 
 // --- 5. Inicialização ---
 io.on('connection', (socket) => {
-  logger.info(`[Monitor] Novo cliente conectado: ${socket.id}`);
+  logger.info(`[Monitor] Novo cliente conectado: ${socket.id} (${socket.data.user.username}).`);
   socket.emit('status-update', statusManager.getStatus());
+
+  // Logs ao vivo: apenas administradores entram na sala
+  socket.on('logs:subscribe', () => {
+    if (hasRole(socket.data.user.role, ROLE.ADMIN)) socket.join(LOG_ROOM);
+  });
+  socket.on('logs:unsubscribe', () => socket.leave(LOG_ROOM));
 });
 
 httpServer.listen(appConfig.monitorPort, () => {
   logger.info(`[Serviço] Hub de Integração iniciado.`);
   logger.info(`[Monitor] Painel de monitoramento rodando em http://localhost:${appConfig.monitorPort}`);
-  
-  if (jobsConfig.atualcargo.enabled) {
-    createJobLoop('Atualcargo', atualcargoJob.run, jobsConfig.atualcargo.interval);
-  }
-  if (jobsConfig.sitrax.enabled) {
-    createJobLoop('Sitrax', sitraxJob.run, jobsConfig.sitrax.interval);
+
+  for (const connector of getEnabledConnectors()) {
+    createJobLoop(connector.name, createConnectorJob(connector), {
+      interval: connector.config.interval,
+      ...connector.config.schedule,
+    });
   }
 });
\ No newline at end of file
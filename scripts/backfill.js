@@ -0,0 +1,51 @@
+// scripts/backfill.js
+// CLI de reimportação (backfill) de um intervalo para o Sankhya.
+//
+// Uso:
+//   npm run backfill -- <conector> <de> <até> [--assets PLACA1,PLACA2] [--source history|archive]
+//
+// Ex: npm run backfill -- Atualcargo 2025-11-07T08:00 2025-11-07T14:00 --assets ABC1234
+//
+// <conector> é o nome da instância (ex: Atualcargo, ou SitraxNorte em connectors.yaml).
+// --source history busca no histórico do fornecedor (padrão, quando o conector oferece);
+// --source archive usa as respostas brutas guardadas em <DATA_DIR>/raw.
+//
+// Repetir a reimportação é seguro: posições que já estão no Sankhya (mesmo
+// ativo e DATHOR) não são gravadas de novo. O mesmo está disponível no painel
+// e em POST /api/backfill.
+import { loadConnectors, getConnectors } from '../src/connectors/registry.js';
+import { runBackfill } from '../src/jobs/job.backfill.js';
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args.splice(index, 2)[1] : undefined;
+};
+const assets = option('assets');
+const source = option('source');
+const [connectorName, from, to] = args;
+
+if (!connectorName || !from || !to) {
+  console.error('Uso: npm run backfill -- <conector> <de> <até> [--assets A,B] [--source history|archive]');
+  process.exit(1);
+}
+
+await loadConnectors();
+const connector = getConnectors().find(c => c.name.toLowerCase() === connectorName.toLowerCase());
+if (!connector) {
+  console.error(`Conector "${connectorName}" não encontrado (disponíveis: ${getConnectors().map(c => c.name).join(', ')}).`);
+  process.exit(1);
+}
+
+let backfill;
+try {
+  backfill = await runBackfill(connector, { from, to, assets, source }, (progress) => {
+    console.log(`[${connector.name}] ${progress.phase} ${progress.processed}/${progress.total}`);
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+console.log(JSON.stringify(backfill, null, 2));
+process.exit(backfill.status === 'success' ? 0 : 1);
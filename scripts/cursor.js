@@ -0,0 +1,48 @@
+// scripts/cursor.js
+// CLI de recuperação dos cursores de extração (ex: pktId da Sitrax).
+//
+// Uso:
+//   npm run cursor -- <conector> show
+//   npm run cursor -- <conector> set <chave> <valor>   (ex: sitrax set pktId 123456)
+//   npm run cursor -- <conector> reset [chave]
+//
+// <conector> é o nome da instância (ex: sitrax, ou SitraxNorte em connectors.yaml).
+//
+// Voltar um cursor é seguro: posições já gravadas no Sankhya são descartadas
+// pelo filtro `isNewer` do processador. Um `reset` faz a Sitrax voltar a
+// entregar apenas a última posição de cada isca (pktId 0).
+import { appConfig } from '../src/config/app.js';
+import { createCursorStore } from '../src/utils/cursorStore.js';
+
+const [connectorName, command = 'show', key, value] = process.argv.slice(2);
+
+if (!connectorName) {
+  console.error('Uso: npm run cursor -- <conector> show | set <chave> <valor> | reset [chave]');
+  process.exit(1);
+}
+
+const store = createCursorStore(connectorName, appConfig.dataDir);
+
+switch (command) {
+  case 'show':
+    break;
+  case 'set': {
+    if (!key || value === undefined) {
+      console.error('Informe a chave e o valor. Ex: sitrax set pktId 123456');
+      process.exit(1);
+    }
+    const numeric = Number(value);
+    store.set(key, Number.isNaN(numeric) ? value : numeric);
+    console.log(`Cursor [${connectorName}] ${key} = ${value}`);
+    break;
+  }
+  case 'reset':
+    store.reset(key);
+    console.log(`Cursor [${connectorName}] ${key ? `${key} removido` : 'zerado'}.`);
+    break;
+  default:
+    console.error(`Comando desconhecido: ${command}`);
+    process.exit(1);
+}
+
+console.log(`${store.filePath}:`, JSON.stringify(store.getAll(), null, 2));
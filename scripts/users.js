@@ -0,0 +1,80 @@
+// scripts/users.js
+// CLI de cadastro dos usuários do painel de monitoramento.
+//
+// Uso:
+//   npm run users -- list
+//   npm run users -- add <usuário> <viewer|operator|admin>   (senha via USER_PASSWORD ou prompt)
+//   npm run users -- passwd <usuário>
+//   npm run users -- role <usuário> <viewer|operator|admin>
+//   npm run users -- remove <usuário>
+//
+// As alterações valem sem reiniciar o serviço (o arquivo é relido a cada acesso).
+import readline from 'readline';
+import { Writable } from 'stream';
+import { appConfig } from '../src/config/app.js';
+import { createUserStore } from '../src/auth/auth.users.js';
+
+const [command = 'list', username, role] = process.argv.slice(2);
+const store = createUserStore(appConfig.usersFile);
+
+async function askPassword() {
+  if (process.env.USER_PASSWORD) return process.env.USER_PASSWORD;
+  // Depois do prompt, nada do que é digitado aparece no terminal
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stdout.write(chunk, encoding);
+      callback();
+    },
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: process.stdin.isTTY });
+  const password = await new Promise(resolve => {
+    rl.question('Senha: ', resolve);
+    muted = true;
+  });
+  rl.close();
+  process.stdout.write('\n');
+  return password;
+}
+
+function requireUsername() {
+  if (!username) {
+    console.error(`Informe o usuário. Ex: npm run users -- ${command} maria`);
+    process.exit(1);
+  }
+}
+
+try {
+  switch (command) {
+    case 'list':
+      break;
+    case 'add':
+      requireUsername();
+      store.add(username, await askPassword(), role);
+      console.log(`Usuário ${username} (${role}) criado.`);
+      break;
+    case 'passwd':
+      requireUsername();
+      store.update(username, { password: await askPassword() });
+      console.log(`Senha de ${username} alterada.`);
+      break;
+    case 'role':
+      requireUsername();
+      store.update(username, { role });
+      console.log(`Perfil de ${username} alterado para ${role}.`);
+      break;
+    case 'remove':
+      requireUsername();
+      console.log(store.remove(username) ? `Usuário ${username} removido.` : `Usuário ${username} não encontrado.`);
+      break;
+    default:
+      console.error(`Comando desconhecido: ${command}`);
+      process.exit(1);
+  }
+} catch (err) {
+  console.error(`Erro: ${err.message}`);
+  process.exit(1);
+}
+
+console.log(`${store.filePath}:`);
+console.table(store.list());
@@ -0,0 +1,326 @@
+import { alertConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import statusManager from '../utils/statusManager.js';
+import { createTimeWindow } from '../jobs/job.schedule.js';
+import { createChannels } from './channels/index.js';
+
+const logger = createLogger('Alertas');
+
+const CHECK_INTERVAL_MS = 60000;
+
+export const ALERT_RULE = Object.freeze({
+  JOB_FAILING: 'job-failing',
+  NO_INSERT: 'no-insert',
+  FAILOVER: 'failover',
+  AUTH_FAILURE: 'auth-failure',
+  HISTORY_GAP: 'history-gap',
+});
+
+/**
+ * Monta o assunto e o texto de uma notificação, usados por todos os canais.
+ */
+function formatNotification(notification) {
+  const prefix = {
+    alert: '🚨 [ALERTA]',
+    recovery: '✅ [NORMALIZADO]',
+    test: '🔔 [TESTE]',
+  }[notification.type];
+  const subject = `${prefix} ${notification.title}`;
+  const lines = [notification.message];
+  if (notification.since) lines.push(`Desde: ${new Date(notification.since).toLocaleString('pt-BR')}`);
+  if (notification.occurrences > 1) lines.push(`Ocorrências: ${notification.occurrences}`);
+  lines.push(`Horário: ${new Date(notification.at).toLocaleString('pt-BR')}`);
+  return { subject, text: lines.join('\n') };
+}
+
+/**
+ * Singleton que avalia as regras de alerta a partir dos eventos dos jobs e
+ * envia as notificações pelos canais configurados (SMTP, webhook, Telegram).
+ *
+ * Cada alerta tem uma chave (`<regra>:<job>`). Enquanto ativo ele não é
+ * reenviado (exceto a cada `repeatMinutes`), e ao ser resolvido gera um aviso
+ * de normalização. Durante o horário de silêncio os envios são adiados; os
+ * alertas resolvidos nesse meio-tempo não chegam a ser enviados.
+ */
+class AlertManager {
+  constructor() {
+    this.channels = createChannels(alertConfig);
+    this.quietHours = alertConfig.quietHours
+      ? createTimeWindow(alertConfig.quietHours, alertConfig.timezone)
+      : null;
+    this.active = new Map();        // chave -> alerta ativo
+    this.deferred = [];             // avisos de normalização adiados pelo silêncio
+    this.jobs = new Map();          // job -> { failures, lastInsertAt }
+    this.timer = null;
+  }
+
+  /**
+   * Inicia a verificação periódica (regra de "sem inserções" e envios adiados).
+   * Chamado pelo index.js na inicialização.
+   */
+  init() {
+    if (this.channels.length === 0) {
+      logger.info('Nenhum canal de alerta configurado. Alertas apenas no log e no painel.');
+    } else {
+      logger.info(`Canais de alerta ativos: ${this.channels.map(c => c.name).join(', ')}.`);
+    }
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  getJobState(jobName) {
+    if (!this.jobs.has(jobName)) {
+      this.jobs.set(jobName, { failures: 0, lastInsertAt: Date.now() });
+    }
+    return this.jobs.get(jobName);
+  }
+
+  /**
+   * Registra o resultado de um ciclo de job.
+   * @param {Object} run - Registro da execução (ver `runHistory.startRun`)
+   * @param {Object} [options]
+   * @param {boolean} [options.authFailure] - O erro foi de autenticação no fornecedor
+   */
+  recordCycle(run, { authFailure = false } = {}) {
+    const job = this.getJobState(run.job);
+
+    // Em simulação nada é gravado: o ciclo conta como atividade para a regra de "sem inserções"
+    if (run.inserted > 0 || run.dryRun) {
+      job.lastInsertAt = Date.now();
+      this.resolve(`${ALERT_RULE.NO_INSERT}:${run.job}`, `${run.job} voltou a inserir posições no Sankhya.`);
+    }
+
+    if (authFailure) {
+      this.raise(`${ALERT_RULE.AUTH_FAILURE}:${run.job}`, {
+        job: run.job,
+        severity: 'critical',
+        title: `Falha de autenticação na API ${run.job}`,
+        message: `O token/credencial da ${run.job} foi recusado: ${run.errorMessage}`,
+      });
+    } else if (run.status !== 'error' || run.fetched > 0) {
+      this.resolve(`${ALERT_RULE.AUTH_FAILURE}:${run.job}`, `A autenticação na API ${run.job} voltou a funcionar.`);
+    }
+
+    if (run.status === 'error') {
+      job.failures++;
+      if (alertConfig.consecutiveFailures > 0 && job.failures >= alertConfig.consecutiveFailures) {
+        this.raise(`${ALERT_RULE.JOB_FAILING}:${run.job}`, {
+          job: run.job,
+          severity: 'critical',
+          title: `Job ${run.job} falhando`,
+          message: `${job.failures} ciclo(s) consecutivo(s) com erro. Último erro (${run.errorClass}): ${run.errorMessage}`,
+        });
+      }
+    } else {
+      job.failures = 0;
+      this.resolve(`${ALERT_RULE.JOB_FAILING}:${run.job}`, `O job ${run.job} voltou a concluir os ciclos sem erro.`);
+    }
+  }
+
+  /**
+   * Registra a troca de URL do Sankhya feita por `handleSankhyaError`.
+   * @param {string} jobName - Nome do job
+   * @param {string} targetName - Destino Sankhya (ver `sankhya.targets.js`)
+   * @param {'primary' | 'contingency'} target - URL em uso após a troca
+   * @param {string} url - URL em uso após a troca
+   */
+  sankhyaTargetChanged(jobName, targetName, target, url) {
+    const key = `${ALERT_RULE.FAILOVER}:${jobName}:${targetName}`;
+    if (target === 'contingency') {
+      this.raise(key, {
+        job: jobName,
+        severity: 'warning',
+        title: `Sankhya ${targetName} em contingência (${jobName})`,
+        message: `O job ${jobName} passou a usar a URL de contingência do Sankhya ${targetName}: ${url}`,
+      });
+    } else {
+      this.resolve(key, `O job ${jobName} voltou a usar a URL principal do Sankhya ${targetName}: ${url}`);
+    }
+  }
+
+  /**
+   * Registra as placas cujo histórico foi abandonado no ciclo (modo histórico da
+   * Atualcargo): as posições entre o watermark e a última posição ficam de fora.
+   * @param {string} jobName - Nome do job
+   * @param {Array<string>} plates - Placas que seguiram só com a última posição (vazio = nenhuma)
+   */
+  historyGaps(jobName, plates) {
+    const key = `${ALERT_RULE.HISTORY_GAP}:${jobName}`;
+    if (plates.length > 0) {
+      this.raise(key, {
+        job: jobName,
+        severity: 'warning',
+        title: `Histórico incompleto na API ${jobName}`,
+        message: `O histórico de ${plates.join(', ')} falhou em ciclos seguidos e só a última posição foi enviada. Use a reimportação para recuperar o intervalo.`,
+      });
+    } else {
+      this.resolve(key, `O histórico da API ${jobName} voltou a ser lido por completo.`);
+    }
+  }
+
+  /**
+   * Verificação periódica: jobs sem inserções e envios adiados pelo silêncio.
+   */
+  check() {
+    if (alertConfig.noInsertMinutes > 0) {
+      const limitMs = alertConfig.noInsertMinutes * 60000;
+      for (const [jobName, job] of this.jobs) {
+        const paused = statusManager.getStatus()[jobName.toLowerCase()]?.status === 'paused';
+        if (paused || Date.now() - job.lastInsertAt < limitMs) continue;
+        this.raise(`${ALERT_RULE.NO_INSERT}:${jobName}`, {
+          job: jobName,
+          severity: 'warning',
+          title: `${jobName} sem inserções no Sankhya`,
+          message: `Nenhuma posição do ${jobName} foi inserida no Sankhya nos últimos ${alertConfig.noInsertMinutes} minutos.`,
+        });
+      }
+    }
+
+    if (this.isQuiet()) return;
+
+    for (const alert of this.active.values()) {
+      if (!alert.notifiedAt) this.notifyAlert(alert);
+    }
+    for (const notification of this.deferred.splice(0)) {
+      this.dispatch(notification);
+    }
+  }
+
+  isQuiet() {
+    return this.quietHours?.contains(new Date()) || false;
+  }
+
+  /**
+   * Ativa (ou mantém ativo) um alerta. Alertas repetidos não geram novo envio
+   * até passar `repeatMinutes`.
+   */
+  raise(key, { job, severity, title, message }) {
+    let alert = this.active.get(key);
+    if (alert) {
+      alert.occurrences++;
+      alert.message = message;
+      alert.lastSeenAt = new Date().toISOString();
+      const repeatMs = alertConfig.repeatMinutes * 60000;
+      const due = alert.notifiedAt && repeatMs > 0 && Date.now() - new Date(alert.notifiedAt) >= repeatMs;
+      if (due && !this.isQuiet()) this.notifyAlert(alert);
+      this.publish();
+      return;
+    }
+
+    alert = {
+      key,
+      rule: key.split(':')[0],
+      job,
+      severity,
+      title,
+      message,
+      since: new Date().toISOString(),
+      lastSeenAt: new Date().toISOString(),
+      occurrences: 1,
+      notifiedAt: null,
+    };
+    this.active.set(key, alert);
+    logger.warn(`${title}: ${message}`);
+
+    if (this.isQuiet()) {
+      logger.info(`Horário de silêncio: alerta [${key}] adiado.`);
+    } else {
+      this.notifyAlert(alert);
+    }
+    this.publish();
+  }
+
+  /**
+   * Resolve um alerta ativo, enviando o aviso de normalização quando o alerta
+   * chegou a ser notificado.
+   */
+  resolve(key, message) {
+    const alert = this.active.get(key);
+    if (!alert) return;
+    this.active.delete(key);
+    logger.info(`${alert.title}: normalizado. ${message}`);
+    this.publish();
+
+    if (!alert.notifiedAt) return; // Nunca enviado (silêncio): nada a normalizar
+    const notification = {
+      type: 'recovery',
+      key,
+      rule: alert.rule,
+      job: alert.job,
+      severity: 'info',
+      title: alert.title,
+      message,
+      since: alert.since,
+      at: new Date().toISOString(),
+    };
+    if (this.isQuiet()) {
+      this.deferred.push(notification);
+    } else {
+      this.dispatch(notification);
+    }
+  }
+
+  notifyAlert(alert) {
+    alert.notifiedAt = new Date().toISOString();
+    this.dispatch({
+      type: 'alert',
+      key: alert.key,
+      rule: alert.rule,
+      job: alert.job,
+      severity: alert.severity,
+      title: alert.title,
+      message: alert.message,
+      since: alert.since,
+      occurrences: alert.occurrences,
+      at: alert.notifiedAt,
+    });
+  }
+
+  /**
+   * Envia a notificação a todos os canais. Falhas de um canal não afetam os demais.
+   * @returns {Promise<Array<{channel: string, ok: boolean, error?: string}>>}
+   */
+  async dispatch(notification) {
+    const formatted = formatNotification(notification);
+    const results = await Promise.allSettled(
+      this.channels.map(channel => channel.send(notification, formatted))
+    );
+    return results.map((result, i) => {
+      const channel = this.channels[i].name;
+      if (result.status === 'rejected') {
+        logger.error(`Falha ao enviar alerta pelo canal ${channel}: ${result.reason.message}`);
+        return { channel, ok: false, error: result.reason.message };
+      }
+      return { channel, ok: true };
+    });
+  }
+
+  /**
+   * Envia uma notificação de teste por todos os canais (ignora o silêncio).
+   */
+  sendTest() {
+    return this.dispatch({
+      type: 'test',
+      key: 'test',
+      severity: 'info',
+      title: 'Teste de alertas do Hub de Integração',
+      message: 'Se você recebeu esta mensagem, o canal está configurado corretamente.',
+      at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Retorna os alertas ativos (mais recentes primeiro).
+   */
+  getActiveAlerts() {
+    return [...this.active.values()].reverse();
+  }
+
+  publish() {
+    statusManager.emit('alerts-update', this.getActiveAlerts());
+  }
+}
+
+// Exporta uma instância única (singleton)
+const alertManager = new AlertManager();
+export default alertManager;
@@ -0,0 +1,23 @@
+import { createWebhookChannel } from './webhook.channel.js';
+import { createTelegramChannel } from './telegram.channel.js';
+import { createSmtpChannel } from './smtp.channel.js';
+
+/**
+ * Cria os canais de alerta configurados.
+ * Cada canal expõe `name` e `send(notification, { subject, text })`.
+ * @param {Object} config - `alertConfig`
+ * @returns {Array<Object>}
+ */
+export function createChannels(config) {
+  const channels = [];
+  if (config.webhook.url) {
+    channels.push(createWebhookChannel(config.webhook));
+  }
+  if (config.telegram.botToken && config.telegram.chatId) {
+    channels.push(createTelegramChannel(config.telegram));
+  }
+  if (config.smtp.host && config.smtp.to) {
+    channels.push(createSmtpChannel(config.smtp));
+  }
+  return channels;
+}
@@ -0,0 +1,23 @@
+import nodemailer from 'nodemailer';
+import { appConfig } from '../../config/index.js';
+
+/**
+ * Canal de e-mail via SMTP.
+ * @param {Object} config - `alertConfig.smtp` (`to` aceita vários endereços separados por vírgula)
+ */
+export function createSmtpChannel({ host, port, secure, user, password, from, to }) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined,
+    connectionTimeout: appConfig.timeout,
+  });
+
+  return {
+    name: 'smtp',
+    async send(notification, { subject, text }) {
+      await transport.sendMail({ from, to, subject, text });
+    },
+  };
+}
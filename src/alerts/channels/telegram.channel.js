@@ -0,0 +1,23 @@
+import axios from 'axios';
+import { appConfig } from '../../config/index.js';
+
+/**
+ * Canal do Telegram (Bot API `sendMessage`).
+ * A `apiUrl` pode apontar para um servidor local nos testes.
+ * @param {Object} config - `alertConfig.telegram`
+ */
+export function createTelegramChannel({ apiUrl, botToken, chatId }) {
+  return {
+    name: 'telegram',
+    async send(notification, { subject, text }) {
+      const response = await axios.post(
+        `${apiUrl}/bot${botToken}/sendMessage`,
+        { chat_id: chatId, text: `${subject}\n\n${text}`, disable_web_page_preview: true },
+        { timeout: appConfig.timeout }
+      );
+      if (response.data?.ok === false) {
+        throw new Error(`Telegram recusou a mensagem: ${response.data.description}`);
+      }
+    },
+  };
+}
@@ -0,0 +1,15 @@
+import axios from 'axios';
+import { appConfig } from '../../config/index.js';
+
+/**
+ * Canal de webhook genérico: envia a notificação como JSON via POST.
+ * @param {Object} config - `alertConfig.webhook`
+ */
+export function createWebhookChannel({ url }) {
+  return {
+    name: 'webhook',
+    async send(notification, { subject, text }) {
+      await axios.post(url, { ...notification, subject, text }, { timeout: appConfig.timeout });
+    },
+  };
+}
@@ -0,0 +1,113 @@
+import { appConfig, authConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { createUserStore, hasRole, ROLE } from './auth.users.js';
+import { SESSION_COOKIE, readCookie, verifySessionToken } from './auth.session.js';
+
+const logger = createLogger('Auth');
+
+export const userStore = createUserStore(appConfig.usersFile);
+
+// Primeira inicialização: cria o administrador a partir do ambiente
+if (userStore.list().length === 0) {
+  if (authConfig.adminPassword) {
+    userStore.add(authConfig.adminUsername, authConfig.adminPassword, ROLE.ADMIN);
+    logger.info(`Usuário administrador "${authConfig.adminUsername}" criado em ${userStore.filePath}.`);
+  } else {
+    logger.warn('Nenhum usuário cadastrado. Defina AUTH_ADMIN_PASSWORD ou use "npm run users -- add".');
+  }
+}
+
+/**
+ * Identifica o usuário pelo cookie de sessão ou pelo cabeçalho
+ * `Authorization: Bearer <token>` (clientes de API).
+ * @param {Object} headers - Cabeçalhos da requisição HTTP ou do handshake do Socket.io
+ * @returns {Object | null} Usuário (username, role) ou null
+ */
+export function resolveUser(headers) {
+  const bearer = /^Bearer (.+)$/i.exec(headers.authorization || '')?.[1];
+  const token = bearer || readCookie(headers.cookie, SESSION_COOKIE);
+  const session = verifySessionToken(token);
+  // Relê o cadastro: usuários removidos, rebaixados ou com as sessões revogadas perdem o acesso na hora
+  return session ? userStore.resolveSession(session.username, session.tokenVersion) : null;
+}
+
+/**
+ * Middleware que exige um usuário autenticado com o perfil mínimo informado.
+ * @param {string} role - Perfil mínimo (ver `ROLE`)
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    const user = resolveUser(req.headers);
+    if (!user) {
+      return res.status(401).json({ error: 'Autenticação necessária.' });
+    }
+    if (!hasRole(user.role, role)) {
+      logger.warn(`Acesso negado a ${req.method} ${req.path} para ${user.username} (${user.role}). IP: ${req.ip}`);
+      return res.status(403).json({ error: 'Acesso negado para o seu perfil.' });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+/**
+ * Middleware do Socket.io: recusa conexões sem sessão válida.
+ */
+export function authenticateSocket(socket, next) {
+  const user = resolveUser(socket.handshake.headers);
+  if (!user) return next(new Error('Autenticação necessária.'));
+  socket.data.user = user;
+  next();
+}
+
+// --- Limite de Tentativas de Login ---
+// As chaves usam `req.ip`: atrás de um proxy reverso, defina TRUST_PROXY
+// (ver authConfig.trustProxy) para que cada cliente tenha o seu limite.
+
+// chave -> { failures, firstAt }
+const loginFailures = new Map();
+
+// Remove as janelas já vencidas (chaves de IPs/usuários que não voltaram)
+function pruneLoginFailures() {
+  const windowMs = authConfig.loginWindowMinutes * 60000;
+  for (const [key, entry] of loginFailures) {
+    if (Date.now() - entry.firstAt >= windowMs) loginFailures.delete(key);
+  }
+}
+
+function keysFor(ip, username) {
+  // Por IP + usuário e por IP (limite maior), contra quem varia o usuário
+  return [[`${ip}|${username}`, authConfig.loginMaxAttempts], [ip, authConfig.loginMaxAttempts * 4]];
+}
+
+/**
+ * Retorna quantos segundos faltam para novas tentativas serem aceitas (0 = liberado).
+ */
+export function getLoginRetryAfter(ip, username) {
+  const windowMs = authConfig.loginWindowMinutes * 60000;
+  let retryAfterMs = 0;
+  for (const [key, limit] of keysFor(ip, username)) {
+    const entry = loginFailures.get(key);
+    if (!entry) continue;
+    const elapsed = Date.now() - entry.firstAt;
+    if (elapsed >= windowMs) {
+      loginFailures.delete(key);
+    } else if (entry.failures >= limit) {
+      retryAfterMs = Math.max(retryAfterMs, windowMs - elapsed);
+    }
+  }
+  return Math.ceil(retryAfterMs / 1000);
+}
+
+export function registerLoginFailure(ip, username) {
+  pruneLoginFailures();
+  for (const [key] of keysFor(ip, username)) {
+    const entry = loginFailures.get(key) || { failures: 0, firstAt: Date.now() };
+    entry.failures++;
+    loginFailures.set(key, entry);
+  }
+}
+
+export function clearLoginFailures(ip, username) {
+  loginFailures.delete(`${ip}|${username}`);
+}
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { appConfig, authConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('Auth');
+
+export const SESSION_COOKIE = 'hub_session';
+
+/**
+ * Usa AUTH_SESSION_SECRET ou, na falta dele, um segredo aleatório salvo em
+ * <dataDir>/session.secret (para as sessões sobreviverem a reinícios).
+ */
+function loadSecret() {
+  if (authConfig.sessionSecret) return authConfig.sessionSecret;
+
+  const secretPath = path.resolve(appConfig.dataDir, 'session.secret');
+  if (fs.existsSync(secretPath)) return fs.readFileSync(secretPath, 'utf8').trim();
+
+  const secret = randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+  fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+  logger.warn(`AUTH_SESSION_SECRET não definido. Segredo gerado em ${secretPath}.`);
+  return secret;
+}
+
+const secret = loadSecret();
+
+const sign = (data) => createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Cria um token de sessão assinado (HMAC-SHA256) para o usuário.
+ * @param {{username: string}} user
+ * @param {number} tokenVersion - Versão das sessões do usuário (ver `userStore.revokeSessions`)
+ * @returns {{token: string, expiresAt: Date}}
+ */
+export function createSessionToken(user, tokenVersion) {
+  const expiresAt = new Date(Date.now() + authConfig.sessionHours * 3600000);
+  const payload = Buffer.from(JSON.stringify({ u: user.username, v: tokenVersion, exp: expiresAt.getTime() })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Valida a assinatura e a validade de um token de sessão. A versão devolvida
+ * ainda precisa ser conferida com o cadastro (`userStore.resolveSession`).
+ * @returns {{username: string, tokenVersion: number} | null} null se o token for inválido
+ */
+export function verifySessionToken(token) {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const { u, v, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return Date.now() < exp ? { username: u, tokenVersion: v ?? 0 } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Lê um cookie do cabeçalho `Cookie`.
+ */
+export function readCookie(cookieHeader, name) {
+  for (const part of (cookieHeader || '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+/**
+ * Monta o cabeçalho `Set-Cookie` da sessão (HttpOnly, SameSite=Strict).
+ * @param {string} token - Token de sessão ('' para remover o cookie)
+ * @param {Date} [expiresAt]
+ */
+export function buildSessionCookie(token, expiresAt) {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Expires=${(expiresAt || new Date(0)).toUTCString()}`,
+  ];
+  if (authConfig.cookieSecure) parts.push('Secure');
+  return parts.join('; ');
+}
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+
+export const ROLE = Object.freeze({
+  VIEWER: 'viewer',     // Status, mapa, histórico
+  OPERATOR: 'operator', // + controle dos jobs
+  ADMIN: 'admin',       // + logs, quarentena, alertas e usuários
+});
+
+const ROLE_LEVEL = { [ROLE.VIEWER]: 1, [ROLE.OPERATOR]: 2, [ROLE.ADMIN]: 3 };
+
+const SCRYPT_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Verifica se um perfil tem (ao menos) as permissões de outro.
+ * @param {string} role - Perfil do usuário
+ * @param {string} requiredRole - Perfil mínimo exigido
+ */
+export function hasRole(role, requiredRole) {
+  return (ROLE_LEVEL[role] || 0) >= ROLE_LEVEL[requiredRole];
+}
+
+/**
+ * Gera o hash de uma senha no formato `scrypt$<salt>$<hash>` (hex).
+ */
+export function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Compara uma senha com o hash salvo, em tempo constante.
+ */
+export function verifyPassword(password, storedHash) {
+  const [scheme, saltHex, hashHex] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// Hash de uma senha vazia, gerado na primeira tentativa com usuário inexistente
+let dummyHash = null;
+const getDummyHash = () => (dummyHash ??= hashPassword(''));
+
+/**
+ * Cadastro de usuários do painel, persistido em um arquivo JSON.
+ * O arquivo é relido a cada consulta, assim alterações feitas pelo
+ * `scripts/users.js` valem sem reiniciar o serviço.
+ * @param {string} filePath - Caminho do arquivo (ex: data/users.json)
+ */
+export function createUserStore(filePath) {
+  const resolvedPath = path.resolve(filePath);
+
+  function read() {
+    if (!fs.existsSync(resolvedPath)) return [];
+    return JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  }
+
+  function write(users) {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    const tmpPath = `${resolvedPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(users, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, resolvedPath);
+  }
+
+  // Dados públicos de um usuário (sem o hash da senha)
+  const toPublic = ({ username, role, createdAt }) => ({ username, role, createdAt });
+
+  // Na criação todos os campos são obrigatórios; na alteração, só os informados são validados
+  function validate(username, password, role, { partial = false } = {}) {
+    if (!/^[\w.@-]{3,64}$/.test(username || '')) {
+      throw new Error('Usuário inválido: use de 3 a 64 letras, números, ".", "_", "-" ou "@".');
+    }
+    if ((!partial || password !== undefined) && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+      throw new Error(`A senha deve ter ao menos ${MIN_PASSWORD_LENGTH} caracteres.`);
+    }
+    if ((!partial || role !== undefined) && !ROLE_LEVEL[role]) {
+      throw new Error(`Perfil inválido: ${role}. Use ${Object.values(ROLE).join(', ')}.`);
+    }
+  }
+
+  return {
+    filePath: resolvedPath,
+
+    list() {
+      return read().map(toPublic);
+    },
+
+    get(username) {
+      const user = read().find(u => u.username === username);
+      return user ? toPublic(user) : null;
+    },
+
+    /**
+     * Confere usuário e senha. Retorna o usuário (sem o hash) ou null.
+     */
+    authenticate(username, password) {
+      const user = read().find(u => u.username === username);
+      // Usuário inexistente também paga o scrypt: o tempo de resposta não revela quem existe
+      const valid = verifyPassword(password || '', user ? user.passwordHash : getDummyHash());
+      if (!user || !valid) return null;
+      return toPublic(user);
+    },
+
+    /**
+     * Versão das sessões do usuário (vai no token; ver `revokeSessions`).
+     * @returns {number | null} null se o usuário não existir
+     */
+    getTokenVersion(username) {
+      const user = read().find(u => u.username === username);
+      return user ? user.tokenVersion || 0 : null;
+    },
+
+    /**
+     * Usuário de um token de sessão, se a versão do token ainda for a atual.
+     * @returns {Object | null} Usuário (sem o hash) ou null
+     */
+    resolveSession(username, tokenVersion) {
+      const user = read().find(u => u.username === username);
+      if (!user || (user.tokenVersion || 0) !== tokenVersion) return null;
+      return toPublic(user);
+    },
+
+    /**
+     * Invalida todas as sessões abertas do usuário (logout e troca de senha).
+     */
+    revokeSessions(username) {
+      const users = read();
+      const user = users.find(u => u.username === username);
+      if (!user) return false;
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
+      write(users);
+      return true;
+    },
+
+    add(username, password, role) {
+      validate(username, password, role);
+      const users = read();
+      if (users.some(u => u.username === username)) {
+        throw new Error(`O usuário ${username} já existe.`);
+      }
+      const user = { username, role, passwordHash: hashPassword(password), createdAt: new Date().toISOString() };
+      users.push(user);
+      write(users);
+      return toPublic(user);
+    },
+
+    update(username, { password, role } = {}) {
+      validate(username, password, role, { partial: true });
+      const users = read();
+      const user = users.find(u => u.username === username);
+      if (!user) throw new Error(`O usuário ${username} não existe.`);
+      if (password !== undefined) {
+        user.passwordHash = hashPassword(password);
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+      }
+      if (role !== undefined) user.role = role;
+      write(users);
+      return toPublic(user);
+    },
+
+    remove(username) {
+      const users = read();
+      const remaining = users.filter(u => u.username !== username);
+      if (remaining.length === users.length) return false;
+      write(remaining);
+      return true;
+    },
+  };
+}
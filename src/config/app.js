@@ -15,6 +15,33 @@ export const appConfig = {
   // Porta do painel web de monitoramento
   monitorPort: parseInt(process.env.MONITOR_PORT, 10) || 9222,
 
-  // Lê a chave secreta do ambiente
-  logToken: process.env.LOG_DOWNLOAD_TOKEN,
+  // Diretório de dados persistentes (outbox, etc.)
+  dataDir: process.env.DATA_DIR || 'data',
+  // Retenção do histórico de execuções dos jobs
+  runHistoryRetentionDays: parseInt(process.env.RUN_HISTORY_RETENTION_DAYS, 10) || 30,
+  runHistoryMaxEntries: parseInt(process.env.RUN_HISTORY_MAX_ENTRIES, 10) || 50000,
+  // Arquivo das respostas brutas dos fornecedores (auditoria). Ver utils/rawArchive.js
+  rawArchiveEnabled: process.env.RAW_ARCHIVE_ENABLED !== 'false',
+  rawArchiveRetentionDays: parseInt(process.env.RAW_ARCHIVE_RETENTION_DAYS, 10) || 7,
+  // Posições por bloco enviado ao Sankhya na reimportação (backfill)
+  backfillChunkSize: parseInt(process.env.BACKFILL_CHUNK_SIZE, 10) || 500,
+  // Horas após o fim do intervalo em que as respostas arquivadas ainda são lidas (origem 'archive')
+  backfillArchiveMarginHours: parseInt(process.env.BACKFILL_ARCHIVE_MARGIN_HOURS, 10) || 24,
+  // Simulação (dry-run): 'true' para todos os jobs ou a lista de jobs (ex: 'Sitrax,AtualcargoA')
+  dryRun: process.env.DRY_RUN || '',
+  dryRunMaxReports: parseInt(process.env.DRY_RUN_MAX_REPORTS, 10) || 100,
+  // Regras de qualidade das posições (ver src/quality/). QUALITY_RULES: regras ativas separadas por vírgula (vazio = todas)
+  qualityEnabled: process.env.QUALITY_ENABLED !== 'false',
+  qualityRules: process.env.QUALITY_RULES || '',
+  qualityMaxSpeedKmh: parseInt(process.env.QUALITY_MAX_SPEED_KMH, 10) || 200,
+  qualityMaxFutureMinutes: parseInt(process.env.QUALITY_MAX_FUTURE_MINUTES, 10) || 5,
+  // Posições rejeitadas guardadas por job para consulta (/api/quality/rejected)
+  qualityMaxRejected: parseInt(process.env.QUALITY_MAX_REJECTED, 10) || 5000,
+
+  // Instâncias dos conectores (JSON/YAML). Sem arquivo, usa uma instância por fornecedor via ambiente.
+  connectorsFile: process.env.CONNECTORS_FILE || 'connectors.json',
+  // Fuso horário padrão dos agendamentos (cron/janela ativa)
+  scheduleTimezone: process.env.SCHEDULE_TIMEZONE || 'America/Sao_Paulo',
+  // Usuários do painel (senhas com hash scrypt). Ver scripts/users.js
+  usersFile: process.env.AUTH_USERS_FILE || `${process.env.DATA_DIR || 'data'}/users.json`,
 };
\ No newline at end of file
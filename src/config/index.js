@@ -25,6 +25,34 @@ export const appConfig = {
   sankhyaRetryLimit: parseInt(process.env.SANKHYA_RETRY_LIMIT_BEFORE_SWAP, 10) || 2,
   jobRetryDelayMs: parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 60000,
   monitorPort: parseInt(process.env.MONITOR_PORT, 10) || 9222, // <-- ESTA LINHA ESTAVA FALTANDO
+  // Diretório de dados persistentes (outbox, etc.)
+  dataDir: process.env.DATA_DIR || 'data',
+  // Instâncias dos conectores (JSON/YAML). Sem arquivo, usa uma instância por fornecedor via ambiente.
+  connectorsFile: process.env.CONNECTORS_FILE || 'connectors.json',
+  // Fuso horário padrão dos agendamentos (cron/janela ativa)
+  scheduleTimezone: process.env.SCHEDULE_TIMEZONE || 'America/Sao_Paulo',
+  // Usuários do painel (senhas com hash scrypt). Ver scripts/users.js
+  usersFile: process.env.AUTH_USERS_FILE || `${process.env.DATA_DIR || 'data'}/users.json`,
+  // Retenção do histórico de execuções dos jobs
+  runHistoryRetentionDays: parseInt(process.env.RUN_HISTORY_RETENTION_DAYS, 10) || 30,
+  runHistoryMaxEntries: parseInt(process.env.RUN_HISTORY_MAX_ENTRIES, 10) || 50000,
+  // Arquivo das respostas brutas dos fornecedores (auditoria). Ver utils/rawArchive.js
+  rawArchiveEnabled: process.env.RAW_ARCHIVE_ENABLED !== 'false',
+  rawArchiveRetentionDays: parseInt(process.env.RAW_ARCHIVE_RETENTION_DAYS, 10) || 7,
+  // Posições por bloco enviado ao Sankhya na reimportação (backfill)
+  backfillChunkSize: parseInt(process.env.BACKFILL_CHUNK_SIZE, 10) || 500,
+  // Horas após o fim do intervalo em que as respostas arquivadas ainda são lidas (origem 'archive')
+  backfillArchiveMarginHours: parseInt(process.env.BACKFILL_ARCHIVE_MARGIN_HOURS, 10) || 24,
+  // Simulação (dry-run): 'true' para todos os jobs ou a lista de jobs (ex: 'Sitrax,AtualcargoA')
+  dryRun: process.env.DRY_RUN || '',
+  dryRunMaxReports: parseInt(process.env.DRY_RUN_MAX_REPORTS, 10) || 100,
+  // Regras de qualidade das posições (ver src/quality/). QUALITY_RULES: regras ativas separadas por vírgula (vazio = todas)
+  qualityEnabled: process.env.QUALITY_ENABLED !== 'false',
+  qualityRules: process.env.QUALITY_RULES || '',
+  qualityMaxSpeedKmh: parseInt(process.env.QUALITY_MAX_SPEED_KMH, 10) || 200,
+  qualityMaxFutureMinutes: parseInt(process.env.QUALITY_MAX_FUTURE_MINUTES, 10) || 5,
+  // Posições rejeitadas guardadas por job para consulta (/api/quality/rejected)
+  qualityMaxRejected: parseInt(process.env.QUALITY_MAX_REJECTED, 10) || 5000,
 };
 
 // Configuração do Sankhya
@@ -33,7 +61,41 @@ export const sankhyaConfig = {
   contingencyUrl: process.env.SANKHYA_CONTINGENCY_URL || null,
   username: process.env.SANKHYA_USER,
   password: process.env.SANKHYA_PASSWORD,
+  vehicleDatasetId: process.env.SANKHYA_VEHICLE_DATASET_ID || '01S',
   iscaDatasetId: process.env.SANKHYA_ISCA_DATASET_ID || '02S',
+  // Máximo de valores por cláusula IN (...) nas consultas
+  queryChunkSize: parseInt(process.env.SANKHYA_QUERY_CHUNK_SIZE, 10) || 500,
+  // Máximo de registros por chamada ao DatasetSP.save
+  insertChunkSize: parseInt(process.env.SANKHYA_INSERT_CHUNK_SIZE, 10) || 200,
+  // Rejeições seguidas de um bloco inteiro com o mesmo erro antes de mandá-lo para a quarentena
+  saveFailureLimit: parseInt(process.env.SANKHYA_SAVE_FAILURE_LIMIT, 10) || 5,
+  // Banco por trás do Sankhya ('oracle' ou 'mssql'): conversão de datas nas consultas
+  dbDialect: process.env.SANKHYA_DB_DIALECT || 'oracle',
+  // Sonda do principal enquanto algum job está na contingência
+  healthProbeIntervalMs: parseInt(process.env.SANKHYA_HEALTH_PROBE_INTERVAL_MS, 10) || 60000,
+  // Sondas bem-sucedidas seguidas antes de voltar ao principal
+  healthProbeSuccesses: parseInt(process.env.SANKHYA_HEALTH_PROBE_SUCCESSES, 10) || 2,
+  // Emulador embutido (destinos com url 'emulator'). Ver sankhya.emulator.js
+  emulatorPort: parseInt(process.env.SANKHYA_EMULATOR_PORT, 10) || 8180,
+  emulatorSessionTtlMs: parseInt(process.env.SANKHYA_EMULATOR_SESSION_TTL_MS, 10) || 600000,
+  emulatorSeedFile: process.env.SANKHYA_EMULATOR_SEED_FILE || null,
+};
+
+// Configuração do Motor de Cercas (Geofences)
+export const geofenceConfig = {
+  // Arquivo JSON com as cercas (ver geofences.example.json). Sem arquivo, o motor fica desativado.
+  file: process.env.GEOFENCE_FILE || 'geofences.json',
+  // Tabela/dataset do Sankhya onde os eventos são gravados
+  entityName: process.env.GEOFENCE_SANKHYA_ENTITY || 'AD_EVTCERCA',
+  datasetId: process.env.GEOFENCE_SANKHYA_DATASET_ID || '03S',
+};
+
+// Configuração do Mapa do Painel
+export const mapConfig = {
+  tileUrl: process.env.MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  tileAttribution: process.env.MAP_TILE_ATTRIBUTION || '&copy; OpenStreetMap contributors',
+  // Posições mais antigas que isso são exibidas como desatualizadas
+  staleMinutes: parseInt(process.env.MAP_STALE_MINUTES, 10) || 30,
 };
 
 // Helper para converter minutos para milissegundos (ou usa o valor direto)
@@ -43,24 +105,127 @@ const getInterval = (envVar, fallback) => {
 }
 
 // Configuração dos Jobs (APIs de Rastreamento)
+// Agendamento por job: cron (JOB_CRON_<JOB>) ou janela ativa (JOB_ACTIVE_WINDOW_<JOB>),
+// com fuso horário próprio (JOB_TIMEZONE_<JOB>) ou global (SCHEDULE_TIMEZONE)
+const getSchedule = (jobKey) => ({
+  cron: process.env[`JOB_CRON_${jobKey}`] || null,
+  activeWindow: process.env[`JOB_ACTIVE_WINDOW_${jobKey}`] || null,
+  offHoursInterval: getInterval(`JOB_INTERVAL_OFF_HOURS_${jobKey}`, 0),
+  timezone: process.env[`JOB_TIMEZONE_${jobKey}`] || process.env.SCHEDULE_TIMEZONE || 'America/Sao_Paulo',
+});
+
 export const jobsConfig = {
   atualcargo: {
     enabled: !!(process.env.ATUALCARGO_URL && process.env.ATUALCARGO_API_KEY),
     interval: getInterval('JOB_INTERVAL_ATUALCARGO', 300000), // 5 min
+    // Cron/janela ativa opcionais (ver src/jobs/job.schedule.js)
+    schedule: getSchedule('ATUALCARGO'),
     url: process.env.ATUALCARGO_URL,
     apiKey: process.env.ATUALCARGO_API_KEY,
     username: process.env.ATUALCARGO_USERNAME,
     password: process.env.ATUALCARGO_PASSWORD,
     tokenExpirationMs: getInterval('ATUALCARGO_TOKEN_EXPIRATION_MS', 270000), // 4.5 min
     fabricanteId: process.env.SANKHYA_ISCA_FABRICANTE_ID_ATUALCARGO || '2',
+    // Modo histórico: busca todas as posições desde o último watermark de cada veículo
+    historyMode: process.env.ATUALCARGO_MODE === 'history',
+    historyPath: process.env.ATUALCARGO_HISTORY_PATH || '/api/positions/v1/history',
+    historyMaxHours: getInterval('ATUALCARGO_HISTORY_MAX_HOURS', 24),
+    historyRequestDelayMs: getInterval('ATUALCARGO_HISTORY_REQUEST_DELAY_MS', 1000),
+    rateLimitDelayMs: getInterval('ATUALCARGO_RATE_LIMIT_DELAY_MS', 5000),
+    rateLimitRetries: getInterval('ATUALCARGO_RATE_LIMIT_RETRIES', 3),
+    // Após um 404/501 do endpoint de histórico, minutos até tentar de novo
+    historyRetryMinutes: getInterval('ATUALCARGO_HISTORY_RETRY_MINUTES', 60),
+    // Ciclos seguidos com falha no histórico de uma placa antes de usar só a última posição
+    historyMaxDeferrals: getInterval('ATUALCARGO_HISTORY_MAX_DEFERRALS', 3),
   },
   sitrax: {
     enabled: !!(process.env.SITRAX_URL && process.env.SITRAX_LOGIN),
     interval: getInterval('JOB_INTERVAL_SITRAX', 300000), // 5 min
+    // Cron/janela ativa opcionais (ver src/jobs/job.schedule.js)
+    schedule: getSchedule('SITRAX'),
     url: process.env.SITRAX_URL,
     login: process.env.SITRAX_LOGIN,
     cgruChave: process.env.SITRAX_CGRUCHAVE,
     cusuChave: process.env.SITRAX_CUSUCHAVE,
     fabricanteId: process.env.SANKHYA_ISCA_FABRICANTE_ID_SITRAX || '3',
+    // Máximo de páginas (pktId) buscadas por ciclo
+    maxPages: getInterval('SITRAX_MAX_PAGES', 10),
+  },
+  // Simulador de rastreadores (testes de carga e demonstrações). Ver simulator.connector.js
+  simulator: {
+    enabled: process.env.SIMULATOR_ENABLED === 'true',
+    interval: getInterval('JOB_INTERVAL_SIMULATOR', 60000), // 1 min
+    schedule: getSchedule('SIMULATOR'),
+    fabricanteId: process.env.SANKHYA_ISCA_FABRICANTE_ID_SIMULATOR || '99',
+    // Formato dos dados gerados: 'atualcargo' (veículos e iscas) ou 'sitrax' (só iscas)
+    format: process.env.SIMULATOR_FORMAT || 'atualcargo',
+    vehicles: getInterval('SIMULATOR_VEHICLES', 60),
+    iscas: getInterval('SIMULATOR_ISCAS', 25),
+    seed: getInterval('SIMULATOR_SEED', 1),
+  },
+};
+// Configuração dos Alertas (ver src/alerts/)
+export const alertConfig = {
+  // Regras (0 desativa a regra)
+  consecutiveFailures: getInterval('ALERT_CONSECUTIVE_FAILURES', 3),
+  noInsertMinutes: getInterval('ALERT_NO_INSERT_MINUTES', 60),
+  // Reenvia um alerta ainda ativo após esse tempo (0 = envia uma única vez)
+  repeatMinutes: getInterval('ALERT_REPEAT_MINUTES', 60),
+  // Horário de silêncio (ex: '22:00-07:00' ou '1-5 22:00-07:00'). Os alertas são adiados.
+  quietHours: process.env.ALERT_QUIET_HOURS || null,
+  timezone: process.env.ALERT_TIMEZONE || process.env.SCHEDULE_TIMEZONE || 'America/Sao_Paulo',
+
+  // Canais (cada um é ativado quando suas variáveis estão definidas)
+  webhook: {
+    url: process.env.ALERT_WEBHOOK_URL,
   },
-};
\ No newline at end of file
+  telegram: {
+    apiUrl: process.env.ALERT_TELEGRAM_API_URL || 'https://api.telegram.org',
+    botToken: process.env.ALERT_TELEGRAM_BOT_TOKEN,
+    chatId: process.env.ALERT_TELEGRAM_CHAT_ID,
+  },
+  smtp: {
+    host: process.env.ALERT_SMTP_HOST,
+    port: getInterval('ALERT_SMTP_PORT', 587),
+    secure: process.env.ALERT_SMTP_SECURE === 'true',
+    user: process.env.ALERT_SMTP_USER,
+    password: process.env.ALERT_SMTP_PASSWORD,
+    from: process.env.ALERT_SMTP_FROM || 'integracao-hub@localhost',
+    to: process.env.ALERT_SMTP_TO,
+  },
+};
+
+// TRUST_PROXY: 'true'/'false', número de proxies ou lista de IPs/sub-redes (padrão: desligado)
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+
+// Configuração da Autenticação do Painel e das APIs (ver src/auth/)
+export const authConfig = {
+  // Segredo que assina os tokens de sessão. Se ausente, é gerado e salvo em <dataDir>.
+  sessionSecret: process.env.AUTH_SESSION_SECRET || null,
+  sessionHours: getInterval('AUTH_SESSION_HOURS', 12),
+  // Envia o cookie apenas via HTTPS (ative atrás de um proxy com TLS)
+  cookieSecure: process.env.AUTH_COOKIE_SECURE === 'true',
+  // Administrador criado na primeira inicialização, se não houver usuários
+  adminUsername: process.env.AUTH_ADMIN_USERNAME || 'admin',
+  adminPassword: process.env.AUTH_ADMIN_PASSWORD || null,
+  // Limite de tentativas de login por IP + usuário
+  loginMaxAttempts: getInterval('AUTH_LOGIN_MAX_ATTEMPTS', 5),
+  loginWindowMinutes: getInterval('AUTH_LOGIN_WINDOW_MINUTES', 15),
+  // 'trust proxy' do Express, para `req.ip` ser o IP do cliente atrás de um proxy reverso:
+  // 'true', o número de proxies (ex: 1) ou a lista de IPs/sub-redes confiáveis (ex: 'loopback')
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+};
+
+// Configuração dos Endpoints de Saúde (/health/live e /health/ready)
+export const healthConfig = {
+  // Tempo máximo de cada verificação de dependência
+  checkTimeoutMs: getInterval('HEALTH_CHECK_TIMEOUT_MS', 5000),
+  // Reaproveita o resultado das sondas externas (Sankhya/fornecedores) por esse tempo
+  cacheMs: getInterval('HEALTH_CACHE_MS', 30000),
+  // Lote mais antigo tolerado no outbox antes de o hub ser considerado não pronto (0 desativa)
+  maxBacklogAgeMinutes: getInterval('HEALTH_MAX_BACKLOG_AGE_MINUTES', 30),
+};
@@ -7,27 +7,65 @@ const getInterval = (envVar, fallback) => {
   return isNaN(value) ? fallback : value;
 }
 
+// Agendamento por job: cron (JOB_CRON_<JOB>) ou janela ativa (JOB_ACTIVE_WINDOW_<JOB>),
+// com fuso horário próprio (JOB_TIMEZONE_<JOB>) ou global (SCHEDULE_TIMEZONE)
+const getSchedule = (jobKey) => ({
+  cron: process.env[`JOB_CRON_${jobKey}`] || null,
+  activeWindow: process.env[`JOB_ACTIVE_WINDOW_${jobKey}`] || null,
+  offHoursInterval: getInterval(`JOB_INTERVAL_OFF_HOURS_${jobKey}`, 0),
+  timezone: process.env[`JOB_TIMEZONE_${jobKey}`] || process.env.SCHEDULE_TIMEZONE || 'America/Sao_Paulo',
+});
+
 export const jobsConfig = {
   // --- JOB 1: ATUALCARGO ---
   atualcargo: {
     enabled: !!(process.env.ATUALCARGO_URL && process.env.ATUALCARGO_API_KEY),
     interval: getInterval('JOB_INTERVAL_ATUALCARGO', 300000), // 5 min
+    // Cron/janela ativa opcionais (ver src/jobs/job.schedule.js)
+    schedule: getSchedule('ATUALCARGO'),
     url: process.env.ATUALCARGO_URL,
     apiKey: process.env.ATUALCARGO_API_KEY,
     username: process.env.ATUALCARGO_USERNAME,
     password: process.env.ATUALCARGO_PASSWORD,
     tokenExpirationMs: getInterval('ATUALCARGO_TOKEN_EXPIRATION_MS', 270000), // 4.5 min
     fabricanteId: process.env.SANKHYA_ISCA_FABRICANTE_ID_ATUALCARGO || '2',
+    // Modo histórico: busca todas as posições desde o último watermark de cada veículo
+    historyMode: process.env.ATUALCARGO_MODE === 'history',
+    historyPath: process.env.ATUALCARGO_HISTORY_PATH || '/api/positions/v1/history',
+    historyMaxHours: getInterval('ATUALCARGO_HISTORY_MAX_HOURS', 24),
+    historyRequestDelayMs: getInterval('ATUALCARGO_HISTORY_REQUEST_DELAY_MS', 1000),
+    rateLimitDelayMs: getInterval('ATUALCARGO_RATE_LIMIT_DELAY_MS', 5000),
+    rateLimitRetries: getInterval('ATUALCARGO_RATE_LIMIT_RETRIES', 3),
+    // Após um 404/501 do endpoint de histórico, minutos até tentar de novo
+    historyRetryMinutes: getInterval('ATUALCARGO_HISTORY_RETRY_MINUTES', 60),
+    // Ciclos seguidos com falha no histórico de uma placa antes de usar só a última posição
+    historyMaxDeferrals: getInterval('ATUALCARGO_HISTORY_MAX_DEFERRALS', 3),
   },
 
   // --- JOB 2: SITRAX (Santos e Zanon) ---
   sitrax: {
     enabled: !!(process.env.SITRAX_URL && process.env.SITRAX_LOGIN),
     interval: getInterval('JOB_INTERVAL_SITRAX', 300000), // 5 min
+    // Cron/janela ativa opcionais (ver src/jobs/job.schedule.js)
+    schedule: getSchedule('SITRAX'),
     url: process.env.SITRAX_URL,
     login: process.env.SITRAX_LOGIN,
     cgruChave: process.env.SITRAX_CGRUCHAVE,
     cusuChave: process.env.SITRAX_CUSUCHAVE,
     fabricanteId: process.env.SANKHYA_ISCA_FABRICANTE_ID_SITRAX || '3',
+    // Máximo de páginas (pktId) buscadas por ciclo
+    maxPages: getInterval('SITRAX_MAX_PAGES', 10),
+  },
+  // Simulador de rastreadores (testes de carga e demonstrações). Ver simulator.connector.js
+  simulator: {
+    enabled: process.env.SIMULATOR_ENABLED === 'true',
+    interval: getInterval('JOB_INTERVAL_SIMULATOR', 60000), // 1 min
+    schedule: getSchedule('SIMULATOR'),
+    fabricanteId: process.env.SANKHYA_ISCA_FABRICANTE_ID_SIMULATOR || '99',
+    // Formato dos dados gerados: 'atualcargo' (veículos e iscas) ou 'sitrax' (só iscas)
+    format: process.env.SIMULATOR_FORMAT || 'atualcargo',
+    vehicles: getInterval('SIMULATOR_VEHICLES', 60),
+    iscas: getInterval('SIMULATOR_ISCAS', 25),
+    seed: getInterval('SIMULATOR_SEED', 1),
   },
 };
\ No newline at end of file
@@ -6,5 +6,22 @@ export const sankhyaConfig = {
   contingencyUrl: process.env.SANKHYA_CONTINGENCY_URL || null,
   username: process.env.SANKHYA_USER,
   password: process.env.SANKHYA_PASSWORD,
+  vehicleDatasetId: process.env.SANKHYA_VEHICLE_DATASET_ID || '01S',
   iscaDatasetId: process.env.SANKHYA_ISCA_DATASET_ID || '02S',
+  // Máximo de valores por cláusula IN (...) nas consultas
+  queryChunkSize: parseInt(process.env.SANKHYA_QUERY_CHUNK_SIZE, 10) || 500,
+  // Máximo de registros por chamada ao DatasetSP.save
+  insertChunkSize: parseInt(process.env.SANKHYA_INSERT_CHUNK_SIZE, 10) || 200,
+  // Rejeições seguidas de um bloco inteiro com o mesmo erro antes de mandá-lo para a quarentena
+  saveFailureLimit: parseInt(process.env.SANKHYA_SAVE_FAILURE_LIMIT, 10) || 5,
+  // Banco por trás do Sankhya ('oracle' ou 'mssql'): conversão de datas nas consultas
+  dbDialect: process.env.SANKHYA_DB_DIALECT || 'oracle',
+  // Sonda do principal enquanto algum job está na contingência
+  healthProbeIntervalMs: parseInt(process.env.SANKHYA_HEALTH_PROBE_INTERVAL_MS, 10) || 60000,
+  // Sondas bem-sucedidas seguidas antes de voltar ao principal
+  healthProbeSuccesses: parseInt(process.env.SANKHYA_HEALTH_PROBE_SUCCESSES, 10) || 2,
+  // Emulador embutido (destinos com url 'emulator'). Ver sankhya.emulator.js
+  emulatorPort: parseInt(process.env.SANKHYA_EMULATOR_PORT, 10) || 8180,
+  emulatorSessionTtlMs: parseInt(process.env.SANKHYA_EMULATOR_SESSION_TTL_MS, 10) || 600000,
+  emulatorSeedFile: process.env.SANKHYA_EMULATOR_SEED_FILE || null,
 };
\ No newline at end of file
@@ -1,86 +1,401 @@
 import axios from 'axios';
 import { jobsConfig } from '../config/jobs.js'; // CAMINHO CORRIGIDO
 import { appConfig } from '../config/app.js';
-import logger from '../utils/logger.js';
+import { createLogger } from '../utils/logger.js';
 import { AtualcargoTokenError } from '../utils/errors.js';
+import { mapAtualcargoToStandard } from '../sankhya/sankhya.mapper.js';
+import { ERROR_KIND } from './contract.js';
+import { createCursorStore } from '../utils/cursorStore.js';
+import alertManager from '../alerts/alert.manager.js';
+import { parseAtualcargoDate, formatForAtualcargo, delay } from '../utils/dateTime.js';
 
-const config = jobsConfig.atualcargo;
 const { timeout } = appConfig;
 
 /**
- * Realiza login na API da Atualcargo.
- * @returns {Promise<string>} O token de acesso
+ * Classifica os erros lançados por este conector.
  */
-export async function loginAtualcargo() {
-  logger.info('[Atualcargo] Tentando login...');
-  try {
-    const response = await axios.post(
-      `${config.url}/api/auth/v1/login`,
-      { username: config.username, password: config.password },
-      {
+function classifyError(error) {
+  if (error instanceof AtualcargoTokenError) return ERROR_KIND.AUTH;
+  if (error.message.includes('Atualcargo')) return ERROR_KIND.SOURCE;
+  return null;
+}
+
+/**
+ * Cria uma instância do conector Atualcargo (um contrato).
+ * Cada instância tem token e watermarks próprios.
+ * @param {Object} config - Configuração da instância (ver `defaults`/`required` abaixo)
+ */
+function createAtualcargoConnector(config) {
+  const logger = createLogger(`${config.name}API`);
+
+  // --- Gerenciamento do Token ---
+  let token = null;
+  let tokenTimestamp = null;
+
+  // --- Modo histórico (watermark por placa: data da última posição salva no outbox) ---
+  const watermarkStore = createCursorStore(config.name, appConfig.dataDir);
+  let pendingWatermarks = null;
+  // Após um 404/501 do histórico, volta a tentar depois de `historyRetryMinutes`
+  let historyUnavailableUntil = 0;
+  const isHistoryAvailable = () => Date.now() >= historyUnavailableUntil;
+  // Ciclos seguidos em que o histórico de cada placa falhou (ver `historyMaxDeferrals`)
+  const deferrals = new Map();
+
+  /**
+   * Realiza login na API da Atualcargo.
+   * @returns {Promise<string>} O token de acesso
+   */
+  async function loginAtualcargo() {
+    logger.info('Tentando login...');
+    try {
+      const response = await axios.post(
+        `${config.url}/api/auth/v1/login`,
+        { username: config.username, password: config.password },
+        {
+          headers: {
+            'access-key': config.apiKey,
+            'Content-Type': 'application/json',
+          },
+        }
+      );
+
+      if (response.data?.token) {
+        logger.info('Login bem-sucedido.');
+        return response.data.token;
+      }
+
+      logger.error('Falha no login: Token não encontrado.', response.data);
+      throw new Error('Token não retornado pela API Atualcargo');
+
+    } catch (error) {
+      logger.error(`Erro crítico ao fazer login: ${error.message}`);
+      throw new Error(`Falha no login da Atualcargo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Busca as últimas posições dos veículos na Atualcargo.
+   * @param {string} token - O token Bearer
+   * @param {Function} archive - Guarda a resposta bruta (ver `contract.js`)
+   * @returns {Promise<Array<Object>>} Uma lista de posições de veículos
+   */
+  async function getAtualcargoPositions(token, archive) {
+    logger.info('Buscando últimas posições (pode demorar até 2 min)...');
+    try {
+      const response = await axios.get(`${config.url}/api/positions/v1/last`, {
         headers: {
+          'Authorization': `Bearer ${token}`,
           'access-key': config.apiKey,
-          'Content-Type': 'application/json',
         },
+        timeout: timeout, 
+      });
+      archive({ method: 'GET', path: '/api/positions/v1/last' }, response.data);
+
+      if (response.data?.code === 200 && Array.isArray(response.data.data)) {
+        logger.info(`Encontradas ${response.data.data.length} posições.`);
+        return response.data.data; 
       }
-    );
 
-    if (response.data?.token) {
-      logger.info('[Atualcargo] Login bem-sucedido.');
-      return response.data.token;
+      logger.warn('Resposta inesperada da API de posições:', response.data);
+      return [];
+
+    } catch (error) {
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.response?.status === 504) {
+        logger.error('Timeout ao buscar posições. A API demorou mais que o esperado.');
+        throw new Error('Timeout da API da Atualcargo excedido.');
+      }
+      if (error.response?.status === 401 || error.response?.status === 403) {
+        logger.warn('Token expirou (401/403).');
+        throw new AtualcargoTokenError('Token da Atualcargo expirado.');
+      }
+      if (error.response?.status === 425) {
+        logger.warn('Erro 425 (Too Early / Rate Limit).');
+        throw new Error('Falha da Atualcargo (Rate Limit 425).');
+      }
+      if (error.response?.status === 500) {
+        logger.error('Erro 500 (Internal Server Error) na API.');
+        throw new Error('Falha interna da API Atualcargo (500).');
+      }
+      logger.error(`Erro ao buscar posições: ${error.message}`);
+      throw new Error(`Falha ao buscar posições da Atualcargo: ${error.message}`);
     }
+  }
+
+  /**
+   * Busca o histórico de posições de uma placa em um intervalo.
+   * Em caso de 425 (Rate Limit), aguarda e tenta novamente até o limite configurado.
+   * @param {string} token - O token Bearer
+   * @param {string} plate - A placa do veículo
+   * @param {Date} start - Início do intervalo
+   * @param {Date} end - Fim do intervalo
+   * @param {Function} archive - Guarda a resposta bruta (ver `contract.js`)
+   * @returns {Promise<Array<Object> | null>} As posições, ou null se o histórico estiver indisponível
+   */
+  async function getAtualcargoHistory(token, plate, start, end, archive) {
+    const params = {
+      plate,
+      startDate: formatForAtualcargo(start),
+      endDate: formatForAtualcargo(end),
+    };
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await axios.get(`${config.url}${config.historyPath}`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'access-key': config.apiKey,
+          },
+          params,
+          timeout: timeout,
+        });
+        archive({ method: 'GET', path: config.historyPath, params }, response.data);
 
-    logger.error('[Atualcargo] Falha no login: Token não encontrado.', response.data);
-    throw new Error('Token não retornado pela API Atualcargo');
+        if (response.data?.code === 200 && Array.isArray(response.data.data)) {
+          return response.data.data;
+        }
 
-  } catch (error) {
-    logger.error(`[Atualcargo] Erro crítico ao fazer login: ${error.message}`);
-    throw new Error(`Falha no login da Atualcargo: ${error.message}`);
+        logger.warn(`Resposta inesperada da API de histórico (${plate}):`, response.data);
+        return null;
+
+      } catch (error) {
+        const status = error.response?.status;
+        if (status === 401 || status === 403) {
+          logger.warn('Token expirou (401/403) durante a busca do histórico.');
+          throw new AtualcargoTokenError('Token da Atualcargo expirado.');
+        }
+        if (status === 404 || status === 501) {
+          logger.warn(`Endpoint de histórico indisponível (${status}). Usando apenas a última posição por ${config.historyRetryMinutes} min.`);
+          historyUnavailableUntil = Date.now() + config.historyRetryMinutes * 60000;
+          return null;
+        }
+        if (status === 425 && attempt <= config.rateLimitRetries) {
+          const retryAfterMs = (parseInt(error.response.headers?.['retry-after'], 10) * 1000) || config.rateLimitDelayMs;
+          logger.warn(`Erro 425 (Rate Limit) no histórico de ${plate}. Aguardando ${retryAfterMs / 1000}s (tentativa ${attempt}/${config.rateLimitRetries}).`);
+          await delay(retryAfterMs);
+          continue;
+        }
+        logger.warn(`Falha ao buscar histórico de ${plate}: ${error.message}.`);
+        return null;
+      }
+    }
   }
-}
 
-/**
- * Busca as últimas posições dos veículos na Atualcargo.
- * @param {string} token - O token Bearer
- * @returns {Promise<Array<Object>>} Uma lista de posições de veículos
- */
-export async function getAtualcargoPositions(token) {
-  logger.info('[Atualcargo] Buscando últimas posições (pode demorar até 2 min)...');
-  try {
-    const response = await axios.get(`${config.url}/api/positions/v1/last`, {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'access-key': config.apiKey,
-      },
-      timeout: timeout, 
-    });
-
-    if (response.data?.code === 200 && Array.isArray(response.data.data)) {
-      logger.info(`[Atualcargo] Encontradas ${response.data.data.length} posições.`);
-      return response.data.data; 
+  /**
+   * Modo histórico: busca todas as posições de cada veículo desde o último
+   * watermark salvo, em ordem cronológica. Placas sem watermark (primeira
+   * execução) ou sem histórico disponível usam apenas a última posição. Se a
+   * busca do histórico de uma placa falhar, ela fica para o próximo ciclo; após
+   * `historyMaxDeferrals` ciclos seguidos, segue só a última posição e o buraco
+   * no histórico é alertado.
+   * Os watermarks só avançam em `commit()`, depois que o lote foi salvo no outbox.
+   * @param {string} token - O token Bearer
+   * @param {Function} archive - Guarda cada resposta bruta (ver `contract.js`)
+   * @returns {Promise<Array<Object>>} Uma lista de posições de veículos
+   */
+  async function getAtualcargoTrack(token, archive) {
+    const lastPositions = await getAtualcargoPositions(token, archive);
+    const watermarks = watermarkStore.getAll();
+    const nextWatermarks = {};
+    const track = [];
+    let historyRequests = 0;
+    let deferred = 0;
+    const gaps = []; // Placas que desistiram do histórico e seguem só com a última posição
+
+    logger.info(`Modo histórico: verificando ${lastPositions.length} veículos...`);
+
+    for (const last of lastPositions) {
+      const lastDate = parseAtualcargoDate(last.date);
+      if (!last.plate || !lastDate) {
+        track.push(last); // O mapper descarta e registra o motivo
+        continue;
+      }
+
+      const watermark = watermarks[last.plate] ? new Date(watermarks[last.plate]) : null;
+      if (watermark && lastDate <= watermark) continue; // Sem posições novas
+
+      let positions = null;
+      if (watermark && isHistoryAvailable()) {
+        // Limita a janela para não pedir dias de histórico após uma longa parada
+        const maxStart = new Date(lastDate.getTime() - config.historyMaxHours * 3600000);
+        const start = watermark > maxStart ? watermark : maxStart;
+
+        if (historyRequests > 0) await delay(config.historyRequestDelayMs);
+        historyRequests++;
+        positions = await getAtualcargoHistory(token, last.plate, start, lastDate, archive);
+
+        // Falha passageira: o watermark não avança e a última posição fica de fora, senão
+        // o Sankhya descartaria o histórico anterior a ela como "não novo" na próxima busca
+        if (!positions && isHistoryAvailable()) {
+          const failures = (deferrals.get(last.plate) || 0) + 1;
+          if (failures < config.historyMaxDeferrals) {
+            deferrals.set(last.plate, failures);
+            deferred++;
+            continue;
+          }
+          gaps.push(last.plate);
+        }
+        deferrals.delete(last.plate);
+      }
+
+      if (positions) {
+        track.push(...positions
+          .map(pos => ({ ...pos, plate: pos.plate || last.plate }))
+          .filter(pos => {
+            const date = parseAtualcargoDate(pos.date);
+            return date && date > watermark;
+          }));
+      } else {
+        track.push(last);
+      }
+      nextWatermarks[last.plate] = lastDate.toISOString();
+    }
+
+    pendingWatermarks = nextWatermarks;
+    track.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    logger.info(`Modo histórico: ${track.length} posições (${historyRequests} consultas de histórico).`);
+    if (deferred > 0) {
+      logger.warn(`Modo histórico: ${deferred} veículo(s) com falha no histórico ficam para o próximo ciclo.`);
     }
+    if (gaps.length > 0) {
+      logger.warn(`Modo histórico: histórico de ${gaps.join(', ')} falhou em ${config.historyMaxDeferrals} ciclos seguidos. Usando apenas a última posição.`);
+      alertManager.historyGaps(config.name, gaps);
+    } else if (deferred === 0 && isHistoryAvailable()) {
+      alertManager.historyGaps(config.name, []);
+    }
+    return track;
+  }
+
+  /**
+   * Reimportação: busca o histórico de cada placa em um intervalo, em janelas
+   * de até `historyMaxHours`. Sem `assets`, usa as placas da última posição.
+   * Não altera os watermarks do modo histórico.
+   * @param {Object} range
+   * @param {Date} range.from - Início do intervalo
+   * @param {Date} range.to - Fim do intervalo
+   * @param {Array<string>} [range.assets] - Placas
+   * @param {Function} [range.archive] - Guarda cada resposta bruta (ver `contract.js`)
+   * @returns {Promise<Array<Object>>} Posições em ordem cronológica
+   */
+  async function getAtualcargoRange({ from, to, assets, archive = () => {} }) {
+    await authenticate();
+    const plates = assets?.length
+      ? assets
+      : [...new Set((await getAtualcargoPositions(token, archive)).map(pos => pos.plate).filter(Boolean))];
+    const positions = [];
+    let requests = 0;
 
-    logger.warn('[Atualcargo] Resposta inesperada da API de posições:', response.data);
-    return [];
+    logger.info(`Reimportação: buscando histórico de ${plates.length} placas...`);
+    for (const plate of plates) {
+      for (let start = from; start < to;) {
+        const end = new Date(Math.min(start.getTime() + config.historyMaxHours * 3600000, to.getTime()));
+        if (requests > 0) await delay(config.historyRequestDelayMs);
+        requests++;
+        await authenticate(); // A reimportação pode durar mais que a validade do token
 
-  } catch (error) {
-    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.response?.status === 504) {
-      logger.error('[Atualcargo] Timeout ao buscar posições. A API demorou mais que o esperado.');
-      throw new Error('Timeout da API da Atualcargo excedido.');
+        const page = await getAtualcargoHistory(token, plate, start, end, archive);
+        if (!page) {
+          // Uma janela perdida deixaria um buraco silencioso na reimportação
+          throw new Error(`Falha ao buscar o histórico da Atualcargo de ${plate} (${formatForAtualcargo(start)} a ${formatForAtualcargo(end)}).`);
+        }
+        positions.push(...page.map(pos => ({ ...pos, plate: pos.plate || plate })));
+        start = end;
+      }
     }
-    if (error.response?.status === 401 || error.response?.status === 403) {
-      logger.warn('[Atualcargo] Token expirou (401/403).');
-      throw new AtualcargoTokenError('Token da Atualcargo expirado.');
+
+    positions.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    logger.info(`Reimportação: ${positions.length} posições (${requests} consultas de histórico).`);
+    return positions;
+  }
+
+  /**
+   * Persiste os watermarks da última busca. Chamado pelo runner
+   * somente após o lote estar seguro no outbox.
+   */
+  function commit() {
+    if (!pendingWatermarks) return;
+    watermarkStore.merge(pendingWatermarks);
+    logger.info(`Watermarks atualizados para ${Object.keys(pendingWatermarks).length} veículos.`);
+    pendingWatermarks = null;
+  }
+
+  /**
+   * Garante um token válido, renovando-o se ausente ou expirado.
+   */
+  async function authenticate() {
+    const now = Date.now();
+    if (tokenTimestamp && (now - tokenTimestamp > config.tokenExpirationMs)) {
+      logger.info(`Token expirou (limite de ${config.tokenExpirationMs / 60000} min). Forçando renovação.`);
+      invalidateAuth();
     }
-    if (error.response?.status === 425) {
-      logger.warn('[Atualcargo] Erro 425 (Too Early / Rate Limit).');
-      throw new Error('Falha da Atualcargo (Rate Limit 425).');
+
+    if (!token) {
+      logger.info('Token ausente ou expirado. Solicitando novo login...');
+      token = await loginAtualcargo();
+      tokenTimestamp = Date.now();
     }
-    if (error.response?.status === 500) {
-      logger.error('[Atualcargo] Erro 500 (Internal Server Error) na API.');
-      throw new Error('Falha interna da API Atualcargo (500).');
+  }
+
+  /**
+   * Descarta o token atual, forçando re-login no próximo ciclo.
+   */
+  function invalidateAuth() {
+    token = null;
+    tokenTimestamp = null;
+  }
+
+  /**
+   * Verificação de saúde: a API responde e o token (em cache ou renovado) é válido.
+   */
+  async function checkHealth() {
+    try {
+      await axios.head(config.url, { timeout, validateStatus: () => true });
+    } catch (error) {
+      throw new Error(`API da Atualcargo inacessível: ${error.message}`);
     }
-    logger.error(`[Atualcargo] Erro ao buscar posições: ${error.message}`);
-    throw new Error(`Falha ao buscar posições da Atualcargo: ${error.message}`);
+    await authenticate();
+    return {
+      reachable: true,
+      authenticated: true,
+      tokenAgeSeconds: Math.round((Date.now() - tokenTimestamp) / 1000),
+    };
   }
-}
\ No newline at end of file
+
+  return {
+    name: config.name,
+    config,
+    authenticate,
+    invalidateAuth,
+    fetchPositions: ({ archive = () => {} } = {}) => (config.historyMode
+      ? getAtualcargoTrack(token, archive)
+      : getAtualcargoPositions(token, archive)),
+    fetchHistory: getAtualcargoRange,
+    unarchive: (request, data) => (Array.isArray(data?.data)
+      ? data.data.map(pos => ({ ...pos, plate: pos.plate || request.params?.plate }))
+      : []),
+    commit,
+    map: mapAtualcargoToStandard,
+    classifyError,
+    checkHealth,
+  };
+}
+
+export default {
+  type: 'atualcargo',
+  defaultName: 'Atualcargo',
+  envConfig: jobsConfig.atualcargo,
+  required: ['url', 'apiKey', 'username', 'password'],
+  defaults: {
+    interval: 300000, // 5 min
+    fabricanteId: '2',
+    tokenExpirationMs: 270000, // 4.5 min
+    // Modo histórico: busca todas as posições desde o último watermark de cada veículo
+    historyMode: false,
+    historyPath: '/api/positions/v1/history',
+    historyMaxHours: 24,
+    historyRequestDelayMs: 1000,
+    rateLimitDelayMs: 5000,
+    rateLimitRetries: 3,
+    historyRetryMinutes: 60,
+    historyMaxDeferrals: 3,
+  },
+  create: createAtualcargoConnector,
+};
@@ -0,0 +1,107 @@
+/**
+ * Contrato que todo conector de rastreador deve seguir.
+ *
+ * Um módulo `*.connector.js` dentro de `src/connectors/` define um TIPO de
+ * conector (um fornecedor) e exporta como `default` um objeto com:
+ *
+ *  - type {string}                 Identificador do tipo (ex: 'sitrax'), usado no arquivo de instâncias
+ *  - defaultName {string}          Nome do job da instância configurada via ambiente (ex: 'Sitrax')
+ *  - envConfig {Object}            Configuração lida do ambiente (compatibilidade com uma conta só)
+ *  - required {Array<string>}      Campos obrigatórios da instância (credenciais, URL, ...)
+ *  - defaults {Object}             Valores padrão dos campos da instância
+ *  - create {Function}             (config) => conector. Cria uma instância (uma conta).
+ *
+ * Cada instância (ver `instances.js`) vira um job independente. O objeto
+ * retornado por `create` deve conter:
+ *
+ *  - name {string}                 Nome do job (ex: 'Atualcargo', 'SitraxNorte')
+ *  - config {Object}               Deve conter `enabled`, `interval` e `fabricanteId`.
+ *                                  `schedule` (opcional) define cron/janela ativa.
+ *  - authenticate {Function}       (opcional) async () => void. Garante credenciais válidas.
+ *  - invalidateAuth {Function}     (opcional) () => void. Descarta credenciais em cache.
+ *  - fetchPositions {Function}     async ({ archive }) => Array<Object>. Dados brutos do fornecedor.
+ *                                  `archive(request, data)` guarda cada resposta da API como
+ *                                  recebida (ver `utils/rawArchive.js`); `request` não deve
+ *                                  conter credenciais.
+ *  - commit {Function}             (opcional) () => void. Confirma o progresso da extração
+ *                                  (ex: cursor) depois que o lote foi salvo no outbox.
+ *  - map {Function}                (positions) => Array<Object>. Converte para o formato padrão.
+ *  - classifyError {Function}      (error) => ERROR_KIND | null. Classifica erros do fornecedor.
+ *  - fetchHistory {Function}      (opcional) async ({ from, to, assets, archive }) => Array<Object>.
+ *                                  Dados brutos de um intervalo, pelo histórico do fornecedor
+ *                                  (reimportação, ver `jobs/job.backfill.js`). `assets` filtra
+ *                                  os ativos (placas/iscas) quando informado.
+ *  - unarchive {Function}          (opcional) (request, data) => Array<Object>. Extrai os dados
+ *                                  brutos de uma resposta guardada por `archive` (reimportação
+ *                                  a partir do arquivo local).
+ *  - checkHealth {Function}        (opcional) async () => Object. Verifica se a API está acessível
+ *                                  e se as credenciais são aceitas. Lança erro em caso de falha;
+ *                                  o objeto retornado vai para o detalhe de /health/ready.
+ */
+
+/**
+ * Categorias de erro que um conector pode reportar ao runner genérico.
+ * Retornar `null` em `classifyError` indica que o erro não pertence ao
+ * fornecedor (é tratado como falha do Sankhya).
+ */
+export const ERROR_KIND = Object.freeze({
+  AUTH: 'auth',     // Token/credencial inválida: força re-login no próximo ciclo
+  SOURCE: 'source', // Falha de rede/API do fornecedor
+});
+
+const REQUIRED_FUNCTIONS = ['fetchPositions', 'map', 'classifyError'];
+const OPTIONAL_FUNCTIONS = ['authenticate', 'invalidateAuth', 'commit', 'checkHealth', 'fetchHistory', 'unarchive'];
+
+/**
+ * Valida se um módulo de conector define um tipo válido.
+ * @param {Object} connectorType - A definição exportada pelo módulo
+ * @param {string} source - Origem da definição (para mensagens de erro)
+ * @returns {Object} O próprio tipo, se válido
+ */
+export function validateConnectorType(connectorType, source) {
+  if (!connectorType || typeof connectorType !== 'object') {
+    throw new Error(`Conector inválido em ${source}: export default ausente.`);
+  }
+  if (!connectorType.type || typeof connectorType.type !== 'string') {
+    throw new Error(`Conector inválido em ${source}: 'type' é obrigatório.`);
+  }
+  if (!connectorType.defaultName || typeof connectorType.defaultName !== 'string') {
+    throw new Error(`Conector [${connectorType.type}] inválido: 'defaultName' é obrigatório.`);
+  }
+  if (typeof connectorType.create !== 'function') {
+    throw new Error(`Conector [${connectorType.type}] inválido: função 'create' é obrigatória.`);
+  }
+  if (connectorType.required !== undefined && !Array.isArray(connectorType.required)) {
+    throw new Error(`Conector [${connectorType.type}] inválido: 'required' deve ser uma lista.`);
+  }
+  return connectorType;
+}
+
+/**
+ * Valida se uma instância respeita o contrato de conector.
+ * @param {Object} connector - A instância criada pelo tipo
+ * @param {string} source - Origem da definição (para mensagens de erro)
+ * @returns {Object} O próprio conector, se válido
+ */
+export function validateConnector(connector, source) {
+  if (!connector || typeof connector !== 'object') {
+    throw new Error(`Conector inválido em ${source}: instância ausente.`);
+  }
+  if (!connector.name || typeof connector.name !== 'string') {
+    throw new Error(`Conector inválido em ${source}: 'name' é obrigatório.`);
+  }
+  if (!connector.config || typeof connector.config.interval !== 'number') {
+    throw new Error(`Conector [${connector.name}] inválido: 'config.interval' é obrigatório.`);
+  }
+  for (const fn of REQUIRED_FUNCTIONS) {
+    if (typeof connector[fn] !== 'function') {
+      throw new Error(`Conector [${connector.name}] inválido: função '${fn}' é obrigatória.`);
+    }
+  }
+  for (const fn of OPTIONAL_FUNCTIONS) {
+    if (connector[fn] !== undefined && typeof connector[fn] !== 'function') {
+      throw new Error(`Conector [${connector.name}] inválido: '${fn}' deve ser uma função.`);
+    }
+  }
+  return connector;
+}
@@ -0,0 +1,115 @@
+import path from 'path';
+import { appConfig } from '../config/index.js';
+import { createSchedule } from '../jobs/job.schedule.js';
+import { expandEnv, readConfigFile } from '../utils/configFile.js';
+import { DEFAULT_TARGET, getSankhyaTarget } from '../sankhya/sankhya.targets.js';
+import { normalizeQualityConfig } from '../quality/quality.rules.js';
+
+// O nome vira nome de arquivo (outbox, cursores) e chave do painel
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const SCHEDULE_FIELDS = ['cron', 'activeWindow', 'offHoursInterval', 'timezone'];
+
+// DRY_RUN=true vale para todos os jobs; DRY_RUN=Sitrax,AtualcargoA apenas para os listados
+function isDryRunByDefault(name) {
+  const value = appConfig.dryRun.trim().toLowerCase();
+  return value === 'true' || value.split(',').map(item => item.trim()).includes(name.toLowerCase());
+}
+
+/**
+ * Valida e normaliza a configuração de uma instância de conector.
+ * Formato:
+ *  { name, type, enabled?, interval?, fabricanteId?, sankhyaTargets?, dryRun?, schedule?: { cron,
+ *    activeWindow, offHoursInterval, timezone }, quality?: { enabled, rules, maxSpeedKmh, maxFutureMinutes },
+ *    ...campos do fornecedor (ver `required`/`defaults` do tipo) }
+ * `sankhyaTargets` lista os destinos Sankhya (ver `sankhya.targets.js`) que recebem as
+ * posições; padrão: apenas o destino 'default' (variáveis SANKHYA_*).
+ * `dryRun` liga o modo simulação (nada é gravado no Sankhya); padrão: `appConfig.dryRun`.
+ * `quality` escolhe as regras de qualidade da instância (ver `quality/quality.rules.js`).
+ * @param {Object} raw - A instância como escrita no arquivo (ou vinda do ambiente)
+ * @param {Map<string, Object>} types - Tipos de conector registrados, por `type`
+ * @param {string} label - Identificação da instância nas mensagens de erro
+ * @param {boolean} [strict] - Recusa instâncias ativas com campos obrigatórios ausentes
+ * @returns {{type: Object, config: Object, missing: Array<string>}}
+ */
+export function normalizeInstance(raw, types, label, strict = true) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`Instância ${label} inválida: esperado um objeto.`);
+  }
+  if (typeof raw.name !== 'string' || !NAME_PATTERN.test(raw.name)) {
+    throw new Error(`Instância ${label} inválida: 'name' é obrigatório (letras, números, '-' e '_').`);
+  }
+  const type = types.get(String(raw.type || '').toLowerCase());
+  if (!type) {
+    throw new Error(`Instância [${raw.name}] inválida: tipo '${raw.type}' desconhecido (disponíveis: ${[...types.keys()].join(', ')}).`);
+  }
+
+  const config = expandEnv({ ...type.defaults, ...raw, type: type.type }, `Instância [${raw.name}] inválida`);
+  config.enabled = raw.enabled !== false;
+  config.interval = Number(config.interval);
+  if (!(config.interval > 0)) {
+    throw new Error(`Instância [${raw.name}] inválida: 'interval' deve ser um número positivo (ms).`);
+  }
+  if (config.fabricanteId === undefined || config.fabricanteId === null || config.fabricanteId === '') {
+    throw new Error(`Instância [${raw.name}] inválida: 'fabricanteId' é obrigatório.`);
+  }
+  config.fabricanteId = String(config.fabricanteId);
+  config.dryRun = config.dryRun === undefined ? isDryRunByDefault(raw.name) : String(config.dryRun) === 'true';
+
+  // Instâncias desativadas podem ficar com as credenciais incompletas
+  const missing = (type.required || []).filter(field => config[field] === undefined || config[field] === null || config[field] === '');
+  if (config.enabled && missing.length > 0 && strict) {
+    throw new Error(`Instância [${raw.name}] inválida: campos obrigatórios ausentes: ${missing.join(', ')}.`);
+  }
+
+  const targets = [].concat(config.sankhyaTargets ?? DEFAULT_TARGET);
+  if (targets.length === 0) {
+    throw new Error(`Instância [${raw.name}] inválida: 'sankhyaTargets' não pode ser vazio.`);
+  }
+  try {
+    config.sankhyaTargets = [...new Set(targets.map(name => getSankhyaTarget(String(name)).name))];
+  } catch (error) {
+    throw new Error(`Instância [${raw.name}] inválida: ${error.message}`);
+  }
+
+  try {
+    config.quality = normalizeQualityConfig(config.quality);
+  } catch (error) {
+    throw new Error(`Instância [${raw.name}] inválida: qualidade: ${error.message}`);
+  }
+
+  const schedule = config.schedule || {};
+  const unknown = Object.keys(schedule).filter(field => !SCHEDULE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Instância [${raw.name}] inválida: campos de 'schedule' desconhecidos: ${unknown.join(', ')}.`);
+  }
+  config.schedule = {
+    cron: schedule.cron || null,
+    activeWindow: schedule.activeWindow || null,
+    offHoursInterval: Number(schedule.offHoursInterval) || 0,
+    timezone: schedule.timezone || appConfig.scheduleTimezone,
+  };
+  try {
+    createSchedule({ interval: config.interval, ...config.schedule });
+  } catch (error) {
+    throw new Error(`Instância [${raw.name}] inválida: agendamento: ${error.message}`);
+  }
+
+  return { type, config, missing };
+}
+
+/**
+ * Lê as instâncias do arquivo de conectores (JSON ou YAML).
+ * O arquivo contém `{ connectors: [ ... ], sankhyaTargets: [ ... ] }` ou diretamente a lista.
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {Array<Object> | null} As instâncias, ou null se o arquivo não existir
+ */
+export function readInstancesFile(filePath) {
+  const parsed = readConfigFile(filePath);
+  if (parsed === null) return null;
+
+  const instances = Array.isArray(parsed) ? parsed : parsed?.connectors;
+  if (!Array.isArray(instances)) {
+    throw new Error(`Arquivo de conectores ${path.resolve(filePath)} inválido: esperada a lista 'connectors'.`);
+  }
+  return instances;
+}
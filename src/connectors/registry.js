@@ -0,0 +1,108 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { validateConnector, validateConnectorType } from './contract.js';
+import { normalizeInstance, readInstancesFile } from './instances.js';
+
+const logger = createLogger('ConnectorRegistry');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CONNECTOR_SUFFIX = '.connector.js';
+
+// type -> tipo de conector (fornecedor)
+const types = new Map();
+// nome do job (minúsculo) -> instância
+const connectors = new Map();
+
+/**
+ * Registra um tipo de conector (fornecedor).
+ * @param {Object} connectorType - Definição que segue o contrato de `contract.js`
+ * @param {string} [source] - Origem da definição (para mensagens de erro)
+ */
+export function registerConnectorType(connectorType, source = 'registro manual') {
+  validateConnectorType(connectorType, source);
+  const key = connectorType.type.toLowerCase();
+  if (types.has(key)) {
+    throw new Error(`Tipo de conector [${connectorType.type}] já registrado.`);
+  }
+  types.set(key, connectorType);
+}
+
+/**
+ * Registra uma instância de conector no hub.
+ * @param {Object} connector - Instância que segue o contrato de `contract.js`
+ * @param {string} [source] - Origem da definição (para mensagens de erro)
+ */
+export function registerConnector(connector, source = 'registro manual') {
+  validateConnector(connector, source);
+  const key = connector.name.toLowerCase();
+  if (connectors.has(key)) {
+    throw new Error(`Conector [${connector.name}] já registrado.`);
+  }
+  connectors.set(key, connector);
+  logger.info(`Conector [${connector.name}] registrado (${connector.config.enabled ? 'ativo' : 'inativo'}).`);
+}
+
+/**
+ * Cria e registra uma instância a partir da sua configuração.
+ * @param {Object} raw - Configuração da instância (ver `instances.js`)
+ * @param {string} source - Origem da configuração (para mensagens de erro)
+ * @param {boolean} [strict] - Recusa instâncias ativas com campos obrigatórios ausentes
+ */
+function createInstance(raw, source, strict = true) {
+  const { type, config, missing } = normalizeInstance(raw, types, source, strict);
+  if (config.enabled && missing.length > 0) {
+    logger.warn(`Conector [${config.name}] sem ${missing.join(', ')} no ambiente. As chamadas ao fornecedor devem falhar.`);
+  }
+  registerConnector(type.create(config), source);
+}
+
+/**
+ * Carrega automaticamente todos os módulos `*.connector.js` deste diretório e
+ * cria as instâncias: as do arquivo `appConfig.connectorsFile`, se existir, ou
+ * uma por fornecedor a partir das variáveis de ambiente.
+ * Adicionar um novo fornecedor exige apenas criar um novo arquivo de conector.
+ */
+export async function loadConnectors() {
+  const files = (await fs.promises.readdir(__dirname))
+    .filter(file => file.endsWith(CONNECTOR_SUFFIX))
+    .sort();
+
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(__dirname, file)).href);
+    registerConnectorType(module.default, file);
+  }
+
+  const instances = readInstancesFile(appConfig.connectorsFile);
+  if (instances) {
+    logger.info(`${instances.length} instância(s) de conector em ${path.resolve(appConfig.connectorsFile)}. Variáveis de ambiente dos fornecedores ignoradas.`);
+    instances.forEach((raw, index) => createInstance(raw, `${appConfig.connectorsFile} #${index + 1}`));
+  } else {
+    for (const connectorType of types.values()) {
+      createInstance(
+        { ...connectorType.envConfig, name: connectorType.defaultName, type: connectorType.type },
+        `ambiente (${connectorType.type})`,
+        false // Compatibilidade: o ambiente sempre ativou o job só pela URL e a chave/login
+      );
+    }
+  }
+  return getConnectors();
+}
+
+/**
+ * Retorna todos os conectores registrados.
+ * @returns {Array<Object>}
+ */
+export function getConnectors() {
+  return [...connectors.values()];
+}
+
+/**
+ * Retorna apenas os conectores habilitados na configuração.
+ * @returns {Array<Object>}
+ */
+export function getEnabledConnectors() {
+  return getConnectors().filter(connector => connector.config.enabled);
+}
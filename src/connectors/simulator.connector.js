@@ -0,0 +1,296 @@
+import { format } from 'date-fns';
+import { jobsConfig } from '../config/jobs.js';
+import { createLogger } from '../utils/logger.js';
+import { mapAtualcargoToStandard, mapSitraxToStandard } from '../sankhya/sankhya.mapper.js';
+import { formatForAtualcargo } from '../utils/dateTime.js';
+import { SIMULATED_FABRICANTE_ID, simulatedPlate, simulatedIscaNumber, simulatedIscaSerial } from '../utils/simulatedFleet.js';
+
+/**
+ * Conector de simulação: gera uma frota de veículos e iscas percorrendo rotas
+ * entre cidades, nos mesmos formatos da Atualcargo ou da Sitrax, sem contrato
+ * com fornecedor. Serve para testes de carga do processamento no Sankhya
+ * (milhares de unidades) e para demonstrar o painel (ex: com o emulador,
+ * `sankhya.emulator.js`, que já cadastra parte da frota simulada).
+ *
+ * A cada ciclo as unidades avançam pelo tempo real decorrido, alternando
+ * trechos em movimento e paradas (com ignição ligada ou desligada). Para
+ * exercitar as validações, parte das unidades para de reportar (posição
+ * sempre igual), e uma fração das posições vem com data inválida ou repetida
+ * no mesmo lote.
+ */
+
+const FORMATS = ['atualcargo', 'sitrax'];
+const SITRAX_DATE_FORMAT = 'dd/MM/yyyy HH:mm:ss';
+const INVALID_DATE = { atualcargo: '0000-00-00 00:00:00', sitrax: '00/00/0000 00:00:00' };
+
+// Após uma parada longa do hub, a frota avança no máximo este tempo de uma vez
+const MAX_ADVANCE_MS = 24 * 3600000;
+
+const CITIES = {
+  SP: { name: 'São Paulo', uf: 'SP', lat: -23.5505, lon: -46.6333 },
+  CPS: { name: 'Campinas', uf: 'SP', lat: -22.9056, lon: -47.0608 },
+  RAO: { name: 'Ribeirão Preto', uf: 'SP', lat: -21.1775, lon: -47.8103 },
+  SJC: { name: 'São José dos Campos', uf: 'SP', lat: -23.1896, lon: -45.8841 },
+  RJ: { name: 'Rio de Janeiro', uf: 'RJ', lat: -22.9068, lon: -43.1729 },
+  JDF: { name: 'Juiz de Fora', uf: 'MG', lat: -21.7642, lon: -43.3503 },
+  BH: { name: 'Belo Horizonte', uf: 'MG', lat: -19.9167, lon: -43.9345 },
+  UDI: { name: 'Uberlândia', uf: 'MG', lat: -18.9186, lon: -48.2772 },
+  BSB: { name: 'Brasília', uf: 'DF', lat: -15.7939, lon: -47.8828 },
+  GYN: { name: 'Goiânia', uf: 'GO', lat: -16.6869, lon: -49.2648 },
+  VIX: { name: 'Vitória', uf: 'ES', lat: -20.3155, lon: -40.3128 },
+  CWB: { name: 'Curitiba', uf: 'PR', lat: -25.4284, lon: -49.2733 },
+  JOI: { name: 'Joinville', uf: 'SC', lat: -26.3045, lon: -48.8487 },
+};
+
+const ROUTES = [
+  { highway: 'BR-381', cities: ['SP', 'BH'] },
+  { highway: 'BR-116', cities: ['SP', 'SJC', 'RJ'] },
+  { highway: 'SP-330', cities: ['SP', 'CPS', 'RAO', 'UDI'] },
+  { highway: 'BR-040', cities: ['RJ', 'JDF', 'BH', 'BSB'] },
+  { highway: 'BR-116', cities: ['SP', 'CWB'] },
+  { highway: 'BR-101', cities: ['CWB', 'JOI'] },
+  { highway: 'BR-050', cities: ['UDI', 'BSB'] },
+  { highway: 'BR-060', cities: ['GYN', 'BSB'] },
+  { highway: 'BR-262', cities: ['BH', 'VIX'] },
+].map(buildRoute);
+
+function distanceKm(a, b) {
+  const rad = (deg) => deg * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+function buildRoute({ highway, cities }) {
+  const legs = [];
+  let start = 0;
+  for (let i = 1; i < cities.length; i++) {
+    const from = CITIES[cities[i - 1]];
+    const to = CITIES[cities[i]];
+    const length = distanceKm(from, to);
+    legs.push({ from, to, start, length });
+    start += length;
+  }
+  return { highway, legs, length: start };
+}
+
+/**
+ * Gerador pseudoaleatório (mulberry32): a mesma `seed` gera a mesma frota.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Cria uma instância do conector de simulação.
+ * @param {Object} config - Configuração da instância (ver `defaults` abaixo)
+ */
+function createSimulatorConnector(config) {
+  const logger = createLogger(`${config.name}API`);
+  if (!FORMATS.includes(config.format)) {
+    throw new Error(`Instância [${config.name}] inválida: 'format' deve ser ${FORMATS.join(' ou ')}.`);
+  }
+
+  const random = createRandom(Number(config.seed));
+  const between = (min, max) => min + random() * (max - min);
+  const chance = (ratio) => random() < Number(ratio);
+
+  // A Sitrax só tem iscas
+  const vehicleCount = config.format === 'sitrax' ? 0 : Number(config.vehicles);
+  if (config.format === 'sitrax' && Number(config.vehicles) > 0) {
+    logger.warn(`Formato 'sitrax' só tem iscas: ${config.vehicles} veículos ignorados.`);
+  }
+
+  function startPhase(unit, moving) {
+    unit.moving = moving;
+    unit.phaseLeftMs = (moving ? between(30, 180) : between(5, 60)) * 60000;
+    unit.idleIgnition = !moving && chance(0.25); // Parado com o motor ligado
+  }
+
+  function createUnit(kind, n) {
+    const route = ROUTES[Math.floor(random() * ROUTES.length)];
+    const unit = {
+      kind,
+      n,
+      route,
+      km: random() * route.length,
+      direction: chance(0.5) ? 1 : -1,
+      cruise: between(55, 85), // km/h
+      stale: chance(config.staleRatio), // Deixa de reportar após a primeira posição
+      frozen: null,
+      lastDate: null,
+    };
+    startPhase(unit, chance(0.7));
+    unit.phaseLeftMs *= random(); // Fases iniciais dessincronizadas
+    return unit;
+  }
+
+  const fleet = [
+    ...Array.from({ length: vehicleCount }, (_, i) => createUnit('vehicle', i + 1)),
+    ...Array.from({ length: Number(config.iscas) }, (_, i) => createUnit('isca', i + 1)),
+  ];
+  let lastTick = null;
+  let pktId = 0;
+
+  logger.info(`Frota simulada (${config.format}): ${vehicleCount} veículos e ${config.iscas} iscas, ${fleet.filter(u => u.stale).length} sem reportar.`);
+
+  function move(unit, km) {
+    const { length } = unit.route;
+    unit.km += unit.direction * km;
+    // Chegou ao fim da rota: volta pelo mesmo caminho
+    while (unit.km > length || unit.km < 0) {
+      unit.km = unit.km > length ? 2 * length - unit.km : -unit.km;
+      unit.direction *= -1;
+    }
+  }
+
+  function advance(unit, ms) {
+    let remaining = ms;
+    while (remaining > 0) {
+      const step = Math.min(remaining, unit.phaseLeftMs);
+      if (unit.moving) move(unit, unit.cruise * step / 3600000);
+      unit.phaseLeftMs -= step;
+      remaining -= step;
+      if (unit.phaseLeftMs <= 0) startPhase(unit, !unit.moving);
+    }
+  }
+
+  function locate(unit) {
+    const leg = unit.route.legs.find(l => unit.km <= l.start + l.length) || unit.route.legs.at(-1);
+    const ratio = leg.length > 0 ? (unit.km - leg.start) / leg.length : 0;
+    const fromNearest = ratio <= 0.5;
+    const jitter = () => (random() - 0.5) * 0.0004; // Ruído do GPS (~20 m)
+    return {
+      lat: Number((leg.from.lat + (leg.to.lat - leg.from.lat) * ratio + jitter()).toFixed(6)),
+      lon: Number((leg.from.lon + (leg.to.lon - leg.from.lon) * ratio + jitter()).toFixed(6)),
+      city: fromNearest ? leg.from : leg.to,
+      cityKm: Math.round(leg.length * (fromNearest ? ratio : 1 - ratio)),
+    };
+  }
+
+  function toPayload(unit, date, position) {
+    const speed = unit.moving ? Math.round(Math.min(120, Math.max(5, unit.cruise + between(-10, 10)))) : 0;
+    const ignition = unit.kind === 'vehicle' && (unit.moving || unit.idleIgnition);
+    const { lat, lon, city, cityKm } = position;
+
+    if (config.format === 'sitrax') {
+      return {
+        cveiPlaca: Number(simulatedIscaNumber(unit.n)),
+        cequSN: simulatedIscaSerial(unit.n),
+        llpoDataStatus: date ? format(date, SITRAX_DATE_FORMAT) : INVALID_DATE.sitrax,
+        llpoLatitude: lat,
+        llpoLongitude: lon,
+        llpoVelocidade: speed,
+        llpoIgn: ignition ? 'S' : 'N',
+        truaNome: `Rodovia ${unit.route.highway}`,
+        tmunNome: city.name,
+        testAbrev: city.uf,
+        pktId: ++pktId,
+      };
+    }
+    return {
+      plate: unit.kind === 'vehicle' ? simulatedPlate(unit.n) : `ISCA${simulatedIscaNumber(unit.n)}`,
+      date: date ? formatForAtualcargo(date) : INVALID_DATE.atualcargo,
+      latlong: { latitude: lat, longitude: lon },
+      speed,
+      ignition: ignition ? 'ON' : 'OFF',
+      proximity: cityKm > 0 ? `${cityKm} km de ${city.name} - ${city.uf}` : `${city.name} - ${city.uf}`,
+      address: { street: `Rodovia ${unit.route.highway}` },
+    };
+  }
+
+  /**
+   * Posições de uma unidade no ciclo (nenhuma, uma ou a mesma duas vezes).
+   */
+  function report(unit, now, stats) {
+    if (unit.frozen) {
+      stats.stale++;
+      return [unit.frozen];
+    }
+
+    const position = locate(unit);
+    if (chance(config.invalidDateRatio)) {
+      stats.invalidDate++;
+      return [toPayload(unit, null, position)];
+    }
+
+    // Atraso entre a leitura do GPS e a chegada ao fornecedor, sem voltar no tempo
+    const latency = random() * Number(config.latencyMaxSeconds) * 1000;
+    const date = new Date(Math.max(now - latency, unit.lastDate ?? 0));
+    unit.lastDate = date.getTime();
+    const payload = toPayload(unit, date, position);
+    if (unit.stale) unit.frozen = payload;
+
+    if (chance(config.duplicateRatio)) {
+      stats.duplicates++;
+      return [payload, { ...payload }];
+    }
+    return [payload];
+  }
+
+  /**
+   * Avança a frota pelo tempo decorrido desde o último ciclo e gera as posições.
+   * @param {Object} [options]
+   * @param {Function} [options.archive] - Guarda a "resposta" gerada (ver `contract.js`)
+   */
+  async function fetchPositions({ archive = () => {} } = {}) {
+    const now = Date.now();
+    const elapsed = lastTick === null ? 0 : Math.min(now - lastTick, MAX_ADVANCE_MS);
+    lastTick = now;
+
+    const stats = { stale: 0, invalidDate: 0, duplicates: 0 };
+    const positions = [];
+    for (const unit of fleet) {
+      advance(unit, elapsed);
+      positions.push(...report(unit, now, stats));
+    }
+
+    // Mesmo envelope das respostas reais, para o arquivo bruto e a reimportação
+    archive(
+      { method: 'simulate', format: config.format },
+      config.format === 'sitrax' ? { posicoes: positions } : { code: 200, data: positions }
+    );
+    logger.info(`${positions.length} posições simuladas (${stats.stale} sem atualização, ${stats.invalidDate} com data inválida, ${stats.duplicates} repetidas).`);
+    return positions;
+  }
+
+  return {
+    name: config.name,
+    config,
+    fetchPositions,
+    unarchive: (request, data) => data?.posicoes || data?.data || [],
+    map: config.format === 'sitrax' ? mapSitraxToStandard : mapAtualcargoToStandard,
+    // O simulador não acessa a rede: qualquer falha no ciclo é do Sankhya
+    classifyError: () => null,
+    checkHealth: async () => ({ simulated: true, format: config.format, units: fleet.length }),
+  };
+}
+
+export default {
+  type: 'simulator',
+  defaultName: 'Simulador',
+  envConfig: jobsConfig.simulator,
+  required: [],
+  defaults: {
+    interval: 60000, // 1 min
+    fabricanteId: SIMULATED_FABRICANTE_ID,
+    format: 'atualcargo',
+    vehicles: 60,
+    iscas: 25,
+    seed: 1,
+    // Frações da frota/das posições com os problemas comuns dos fornecedores
+    staleRatio: 0.05,
+    invalidDateRatio: 0.01,
+    duplicateRatio: 0.02,
+    latencyMaxSeconds: 30,
+  },
+  create: createSimulatorConnector,
+};
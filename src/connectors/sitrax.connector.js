@@ -2,52 +2,180 @@ import axios from 'axios';
 import { jobsConfig } from '../config/jobs.js';
 import { appConfig } from '../config/app.js';
 import { createLogger } from '../utils/logger.js'; // CAMINHO CORRIGIDO
+import { mapSitraxToStandard } from '../sankhya/sankhya.mapper.js';
+import { ERROR_KIND } from './contract.js';
+import { createCursorStore } from '../utils/cursorStore.js';
 
-const logger = createLogger('SitraxAPI'); // CORRIGIDO
-const config = jobsConfig.sitrax;
 const { timeout } = appConfig;
 
-const apiClient = axios.create({
-  baseURL: config.url,
-  timeout: timeout,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
+// --- Cursor incremental (maior pktId já salvo no outbox) ---
+const CURSOR_KEY = 'pktId';
+
+/**
+ * Classifica os erros lançados por este conector.
+ * A Sitrax não usa token, então toda falha é de origem (rede/API).
+ */
+function classifyError(error) {
+  if (error.message.includes('Sitrax')) return ERROR_KIND.SOURCE;
+  return null;
+}
 
 /**
- * Busca as últimas posições do Sitrax.
- * @returns {Promise<Array<Object>>} Lista de posições
+ * Cria uma instância do conector Sitrax (um grupo de clientes).
+ * Cada instância tem cliente HTTP e cursor próprios.
+ * @param {Object} config - Configuração da instância (ver `defaults`/`required` abaixo)
  */
-export async function getSitraxPositions() {
-  logger.info('Buscando últimas posições...');
-  try {
-    const requestBody = {
-      login: config.login,
-      cgruChave: config.cgruChave,
-      cusuChave: config.cusuChave,
-      pktId: 0,
-    };
-
-    const response = await apiClient.post('/ultimaposicao', requestBody);
-
-    if (response.data && Array.isArray(response.data.posicoes)) {
-      logger.info(`Recebidas ${response.data.posicoes.length} posições.`);
-      return response.data.posicoes;
+function createSitraxConnector(config) {
+  const logger = createLogger(`${config.name}API`);
+  const cursorStore = createCursorStore(config.name, appConfig.dataDir);
+  let pendingCursor = null;
+
+  const apiClient = axios.create({
+    baseURL: config.url,
+    timeout: timeout,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+
+  /**
+   * Busca uma página de posições a partir de um pktId.
+   * @param {number} pktId - Último pacote já processado (0 = apenas última posição)
+   * @param {Function} archive - Guarda a resposta bruta (ver `contract.js`)
+   * @returns {Promise<Array<Object>>} Lista de posições
+   */
+  async function fetchPage(pktId, archive) {
+    try {
+      const requestBody = {
+        login: config.login,
+        cgruChave: config.cgruChave,
+        cusuChave: config.cusuChave,
+        pktId,
+      };
+
+      const response = await apiClient.post('/ultimaposicao', requestBody);
+      archive({ method: 'POST', path: '/ultimaposicao', params: { pktId } }, response.data);
+
+      if (response.data && Array.isArray(response.data.posicoes)) {
+        return response.data.posicoes;
+      }
+
+      logger.warn('Resposta da API não contém dados válidos.', response.data);
+      return [];
+
+    } catch (error) {
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.response?.status === 504) {
+        logger.error('Timeout ao buscar posições.');
+        throw new Error('Timeout da API da Sitrax excedido.');
+      }
+      logger.error(
+        `Falha ao buscar posições: ${error.message}`,
+        error.response?.data
+      );
+      throw new Error(`Falha ao buscar posições da Sitrax: ${error.message}`);
     }
-    
-    logger.warn('Resposta da API não contém dados válidos.', response.data);
-    return [];
-
-  } catch (error) {
-    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.response?.status === 504) {
-      logger.error('Timeout ao buscar posições.');
-      throw new Error('Timeout da API da Sitrax excedido.');
+  }
+
+  /**
+   * Busca todos os pacotes do Sitrax posteriores ao cursor persistido,
+   * paginando pelo pktId até a API não retornar pacotes novos.
+   * O cursor só avança em `commit()`, depois que o lote foi salvo no outbox.
+   * @param {Object} [context]
+   * @param {Function} [context.archive] - Guarda cada página bruta (ver `contract.js`)
+   * @returns {Promise<Array<Object>>} Lista de posições em ordem de pktId
+   */
+  async function getSitraxPositions({ archive = () => {} } = {}) {
+    const startId = Number(cursorStore.get(CURSOR_KEY, 0));
+    logger.info(`Buscando posições a partir do pktId ${startId}...`);
+
+    const packets = new Map();
+    let cursor = startId;
+
+    for (let page = 1; page <= config.maxPages; page++) {
+      const positions = await fetchPage(cursor, archive);
+      const maxId = positions.reduce((max, pos) => Math.max(max, Number(pos.pktId) || 0), cursor);
+
+      for (const pos of positions) {
+        // Deduplica pacotes repetidos entre páginas
+        packets.set(pos.pktId ?? `${pos.cveiPlaca}-${pos.llpoDataStatus}`, pos);
+      }
+
+      if (positions.length === 0 || maxId <= cursor) break;
+      cursor = maxId;
+
+      if (page === config.maxPages) {
+        logger.warn(`Limite de ${config.maxPages} páginas atingido. O restante será buscado no próximo ciclo.`);
+      }
+    }
+
+    pendingCursor = cursor > startId ? cursor : null;
+    const result = [...packets.values()].sort((a, b) => (Number(a.pktId) || 0) - (Number(b.pktId) || 0));
+    logger.info(`Recebidas ${result.length} posições (pktId ${startId} -> ${cursor}).`);
+    return result;
+  }
+
+  /**
+   * Persiste o maior pktId da última busca. Chamado pelo runner
+   * somente após o lote estar seguro no outbox.
+   */
+  function commit() {
+    if (pendingCursor === null) return;
+    cursorStore.set(CURSOR_KEY, pendingCursor);
+    logger.info(`Cursor pktId avançado para ${pendingCursor}.`);
+    pendingCursor = null;
+  }
+
+  /**
+   * Verificação de saúde: consulta `/ultimaposicao` a partir do cursor atual
+   * (só os pacotes novos, sem avançar o cursor) para validar as chaves de acesso.
+   * A Sitrax não usa token: chaves recusadas voltam como 401/403 ou sem `posicoes`.
+   */
+  async function checkHealth() {
+    let response;
+    try {
+      response = await apiClient.post('/ultimaposicao', {
+        login: config.login,
+        cgruChave: config.cgruChave,
+        cusuChave: config.cusuChave,
+        pktId: Number(cursorStore.get(CURSOR_KEY, 0)),
+      }, { validateStatus: () => true });
+    } catch (error) {
+      throw new Error(`API da Sitrax inacessível: ${error.message}`);
+    }
+
+    if (response.status >= 500) {
+      throw new Error(`API da Sitrax respondeu com erro (HTTP ${response.status}).`);
+    }
+    if (response.status === 401 || response.status === 403 || !Array.isArray(response.data?.posicoes)) {
+      const detail = typeof response.data === 'object' ? JSON.stringify(response.data) : String(response.data ?? '');
+      throw new Error(`Credenciais da Sitrax recusadas (HTTP ${response.status}): ${detail.slice(0, 200)}`);
     }
-    logger.error(
-      `Falha ao buscar posições: ${error.message}`,
-      error.response?.data
-    );
-    throw new Error(`Falha ao buscar posições da Sitrax: ${error.message}`);
+    return { reachable: true, authenticated: true };
   }
-}
\ No newline at end of file
+
+  return {
+    name: config.name,
+    config,
+    fetchPositions: getSitraxPositions,
+    commit,
+    map: mapSitraxToStandard,
+    classifyError,
+    checkHealth,
+    // Sem endpoint de histórico por intervalo: a reimportação usa apenas o arquivo local
+    unarchive: (request, data) => (Array.isArray(data?.posicoes) ? data.posicoes : []),
+  };
+}
+
+export default {
+  type: 'sitrax',
+  defaultName: 'Sitrax',
+  envConfig: jobsConfig.sitrax,
+  required: ['url', 'login', 'cgruChave', 'cusuChave'],
+  defaults: {
+    interval: 300000, // 5 min
+    fabricanteId: '3',
+    // Máximo de páginas (pktId) buscadas por ciclo
+    maxPages: 10,
+  },
+  create: createSitraxConnector,
+};
@@ -0,0 +1,198 @@
+import fs from 'fs';
+import path from 'path';
+import { appConfig, geofenceConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('GeofenceEngine');
+
+const STATE_PATH = path.resolve(appConfig.dataDir, 'geofence-state.json');
+const EARTH_RADIUS_METERS = 6371000;
+
+export const GEOFENCE_EVENT = Object.freeze({
+  ENTRY: 'entry',
+  EXIT: 'exit',
+  DWELL: 'dwell',
+});
+
+// --- Definição das Cercas ---
+
+/**
+ * Valida e normaliza as cercas do arquivo de configuração.
+ * Formatos aceitos:
+ *  { id, name, type: 'circle', center: [lat, lon], radiusMeters, dwellMinutes? }
+ *  { id, name, type: 'polygon', points: [[lat, lon], ...], dwellMinutes? }
+ */
+function normalizeGeofence(fence, index) {
+  const label = fence?.id ?? `#${index}`;
+  if (!fence?.id || !fence.name) {
+    throw new Error(`Cerca ${label} inválida: 'id' e 'name' são obrigatórios.`);
+  }
+  if (fence.type === 'circle') {
+    if (!Array.isArray(fence.center) || fence.center.length !== 2 || !(fence.radiusMeters > 0)) {
+      throw new Error(`Cerca ${label} inválida: círculo exige 'center' [lat, lon] e 'radiusMeters'.`);
+    }
+  } else if (fence.type === 'polygon') {
+    if (!Array.isArray(fence.points) || fence.points.length < 3) {
+      throw new Error(`Cerca ${label} inválida: polígono exige ao menos 3 'points'.`);
+    }
+  } else {
+    throw new Error(`Cerca ${label} inválida: tipo '${fence.type}' desconhecido.`);
+  }
+  return { ...fence, id: String(fence.id), dwellMinutes: Number(fence.dwellMinutes) || null };
+}
+
+function loadGeofences() {
+  const filePath = path.resolve(geofenceConfig.file);
+  if (!fs.existsSync(filePath)) {
+    logger.info(`Arquivo de cercas ${filePath} não encontrado. Motor de cercas desativado.`);
+    return [];
+  }
+  const fences = JSON.parse(fs.readFileSync(filePath, 'utf8')).map(normalizeGeofence);
+  logger.info(`${fences.length} cerca(s) carregada(s) de ${filePath}.`);
+  return fences;
+}
+
+const geofences = loadGeofences();
+
+export const geofencesEnabled = geofences.length > 0;
+
+export function getGeofences() {
+  return geofences;
+}
+
+// --- Geometria ---
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * Distância em metros entre dois pontos (haversine).
+ */
+export function distanceMeters(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+// Ray casting: suficiente para cercas de cidade/cliente (sem cruzar o antimeridiano)
+function pointInPolygon(lat, lon, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [latI, lonI] = points[i];
+    const [latJ, lonJ] = points[j];
+    const crosses = (lonI > lon) !== (lonJ > lon)
+      && lat < ((latJ - latI) * (lon - lonI)) / (lonJ - lonI) + latI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+export function isInside(fence, lat, lon) {
+  if (fence.type === 'circle') {
+    return distanceMeters(fence.center[0], fence.center[1], lat, lon) <= fence.radiusMeters;
+  }
+  return pointInPolygon(lat, lon, fence.points);
+}
+
+// --- Estado por Ativo (persistido para não repetir eventos após reinício) ---
+
+/**
+ * unitKey -> { lastDate, fences: { fenceId: { enteredAt, dwellNotified } } }
+ */
+let unitState = {};
+
+function loadState() {
+  if (!fs.existsSync(STATE_PATH)) return;
+  try {
+    unitState = JSON.parse(fs.readFileSync(STATE_PATH, 'utf8'));
+  } catch (e) {
+    logger.warn(`Não foi possível ler ${STATE_PATH}: ${e.message}. Estado das cercas reiniciado.`);
+  }
+}
+
+function saveState() {
+  fs.mkdirSync(path.dirname(STATE_PATH), { recursive: true });
+  const tmpPath = `${STATE_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(unitState));
+  fs.renameSync(tmpPath, STATE_PATH);
+}
+
+if (geofencesEnabled) loadState();
+
+function buildEvent(eventType, fence, sourceName, pos, extra = {}) {
+  return {
+    eventType,
+    fenceId: fence.id,
+    fenceName: fence.name,
+    source: sourceName,
+    type: pos.type,
+    identifier: pos.identifier,
+    date: pos.date,
+    lat: pos.lat,
+    lon: pos.lon,
+    dwellMinutes: null,
+    ...extra,
+  };
+}
+
+/**
+ * Avalia as posições padronizadas contra as cercas e gera eventos de
+ * entrada, saída e permanência. Posições mais antigas que a última avaliada
+ * para o mesmo ativo são ignoradas. Na primeira vez que um ativo é visto o
+ * estado é apenas registrado (sem eventos), para não gerar uma avalanche de
+ * entradas ao ligar o motor.
+ * @param {string} sourceName - Nome da fonte (ex: 'Atualcargo')
+ * @param {Array<Object>} positions - Posições no formato padrão
+ * @returns {Array<Object>} Eventos gerados, em ordem cronológica
+ */
+export function evaluatePositions(sourceName, positions) {
+  if (!geofencesEnabled) return [];
+
+  const events = [];
+  const ordered = [...positions].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  for (const pos of ordered) {
+    const lat = Number(pos.lat);
+    const lon = Number(pos.lon);
+    const date = new Date(pos.date);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || isNaN(date)) continue;
+
+    const unitKey = `${pos.type}:${pos.identifier}`;
+    const known = unitState[unitKey];
+    if (known && date <= new Date(known.lastDate)) continue;
+
+    const state = known || { lastDate: null, fences: {} };
+
+    for (const fence of geofences) {
+      const inside = isInside(fence, lat, lon);
+      const fenceState = state.fences[fence.id];
+
+      if (inside && !fenceState) {
+        state.fences[fence.id] = { enteredAt: date.toISOString(), dwellNotified: false };
+        if (known) events.push(buildEvent(GEOFENCE_EVENT.ENTRY, fence, sourceName, pos));
+
+      } else if (!inside && fenceState) {
+        delete state.fences[fence.id];
+        const dwellMinutes = Math.round((date - new Date(fenceState.enteredAt)) / 60000);
+        events.push(buildEvent(GEOFENCE_EVENT.EXIT, fence, sourceName, pos, { dwellMinutes }));
+
+      } else if (inside && fence.dwellMinutes && !fenceState.dwellNotified) {
+        const dwellMinutes = Math.round((date - new Date(fenceState.enteredAt)) / 60000);
+        if (dwellMinutes >= fence.dwellMinutes) {
+          fenceState.dwellNotified = true;
+          events.push(buildEvent(GEOFENCE_EVENT.DWELL, fence, sourceName, pos, { dwellMinutes }));
+        }
+      }
+    }
+
+    state.lastDate = date.toISOString();
+    unitState[unitKey] = state;
+  }
+
+  saveState();
+  if (events.length > 0) {
+    logger.info(`[${sourceName}] ${events.length} evento(s) de cerca gerado(s).`);
+  }
+  return events;
+}
@@ -0,0 +1,76 @@
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { createOutbox } from '../utils/outbox.js';
+import statusManager from '../utils/statusManager.js';
+import * as sankhyaApi from '../sankhya/sankhya.api.js';
+import { addToQuarantine } from '../sankhya/sankhya.quarantine.js';
+import { geofencesEnabled, evaluatePositions } from './geofence.engine.js';
+
+const logger = createLogger('GeofenceEvents');
+
+// Últimos eventos, para a carga inicial do painel
+const RECENT_LIMIT = 100;
+const recentEvents = [];
+
+/**
+ * Retorna os eventos de cerca mais recentes (mais novos primeiro).
+ */
+export function getRecentGeofenceEvents() {
+  return [...recentEvents];
+}
+
+/**
+ * Cria a fila de eventos de cerca de uma fonte. Os eventos ficam em um
+ * outbox próprio até serem gravados no Sankhya, assim como as posições.
+ * @param {string} sourceName - Nome da fonte (ex: 'Atualcargo')
+ */
+export function createGeofenceTracker(sourceName) {
+  const outbox = geofencesEnabled ? createOutbox(`geofence-${sourceName}`, appConfig.dataDir) : null;
+
+  return {
+    /**
+     * Avalia as posições recém-mapeadas, guarda os eventos no outbox
+     * e os envia ao painel.
+     */
+    track(positions) {
+      if (!outbox) return [];
+      const events = evaluatePositions(sourceName, positions);
+      if (events.length === 0) return events;
+
+      outbox.enqueue(events);
+      for (const event of events) {
+        recentEvents.unshift(event);
+        statusManager.emit('geofence-event', event);
+      }
+      recentEvents.splice(RECENT_LIMIT);
+      return events;
+    },
+
+    /**
+     * Grava os eventos pendentes em cada destino Sankhya do job, na ordem em
+     * que foram gerados. Um lote só sai do outbox depois de gravado em todos.
+     * Erros são repassados com `error.sankhyaTarget` indicando o destino.
+     * @param {Array<{target: Object, url: string}>} endpoints - Destinos e URLs em uso
+     */
+    async flush(endpoints) {
+      if (!outbox) return;
+
+      let batch;
+      while ((batch = outbox.peek())) {
+        for (const endpoint of endpoints) {
+          if (batch.delivered.includes(endpoint.target.name)) continue;
+          try {
+            const result = await sankhyaApi.insertGeofenceEvents(batch.items, endpoint);
+            addToQuarantine(sourceName, result.entityName, result.quarantined, endpoint.target.name);
+            outbox.markDelivered(batch.id, endpoint.target.name);
+            logger.info(`[${sourceName}] ${result.inserted} evento(s) de cerca gravado(s) no Sankhya ${endpoint.target.name}.`);
+          } catch (error) {
+            error.sankhyaTarget = endpoint.target.name;
+            throw error;
+          }
+        }
+        outbox.ack(batch.id);
+      }
+    },
+  };
+}
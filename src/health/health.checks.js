@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+import { healthConfig } from '../config/index.js';
+import { logDir } from '../utils/logger.js';
+import statusManager from '../utils/statusManager.js';
+import { getEnabledConnectors } from '../connectors/registry.js';
+import { probeLogin } from '../sankhya/sankhya.session.js';
+import { DEFAULT_TARGET, getSankhyaTarget } from '../sankhya/sankhya.targets.js';
+
+const startedAt = new Date();
+
+/**
+ * Resultado de cada verificação:
+ *  - pass: dependência saudável
+ *  - warn: funcionando de forma degradada (não tira o hub de operação)
+ *  - fail: o hub não está pronto
+ */
+export const CHECK_STATUS = Object.freeze({
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail',
+});
+
+// chave -> { at, promise } (sondas externas reaproveitadas por healthConfig.cacheMs)
+const probeCache = new Map();
+
+function cached(key, probe) {
+  const entry = probeCache.get(key);
+  if (entry && Date.now() - entry.at < healthConfig.cacheMs) return entry.promise;
+  const promise = probe();
+  probeCache.set(key, { at: Date.now(), promise });
+  return promise;
+}
+
+function withTimeout(promise, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`${label}: sem resposta em ${healthConfig.checkTimeoutMs / 1000}s.`)),
+      healthConfig.checkTimeoutMs
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Sankhya: login viável na URL em uso (principal ou contingência) de cada
+ * destino que recebe dados de algum job.
+ */
+async function checkSankhya() {
+  const endpoints = new Map(); // destino|URL -> { target, url, mode, jobs }
+
+  for (const connector of getEnabledConnectors()) {
+    const routes = statusManager.getStatus()[connector.name.toLowerCase()]?.sankhyaTargets || {};
+    for (const name of connector.config.sankhyaTargets) {
+      const target = getSankhyaTarget(name);
+      const mode = routes[name]?.target === 'contingency' ? 'contingency' : 'primary';
+      const url = mode === 'contingency' ? target.contingencyUrl : target.url;
+      const key = `${name}|${url}`;
+      if (!endpoints.has(key)) endpoints.set(key, { target, url, mode, jobs: [] });
+      endpoints.get(key).jobs.push(connector.name);
+    }
+  }
+  if (endpoints.size === 0) {
+    const target = getSankhyaTarget(DEFAULT_TARGET);
+    endpoints.set(`${target.name}|${target.url}`, { target, url: target.url, mode: 'primary', jobs: [] });
+  }
+
+  const results = await Promise.all([...endpoints.entries()].map(async ([key, { target, url, mode, jobs }]) => {
+    const healthy = await withTimeout(cached(`sankhya:${key}`, () => probeLogin(target, url)), `Login no Sankhya ${target.name}`)
+      .catch(() => false);
+    return { name: target.name, target: mode, jobs, login: healthy ? 'ok' : 'falhou' };
+  }));
+
+  const failed = results.some(result => result.login !== 'ok');
+  const degraded = results.some(result => result.target === 'contingency');
+  return {
+    status: failed ? CHECK_STATUS.FAIL : degraded ? CHECK_STATUS.WARN : CHECK_STATUS.PASS,
+    message: failed
+      ? 'Login no Sankhya falhou na URL em uso.'
+      : degraded ? 'Login OK, mas há jobs usando a URL de contingência.' : 'Login OK.',
+    targets: results,
+  };
+}
+
+/**
+ * Fornecedor: acessibilidade e credenciais (via `checkHealth` do conector).
+ * O último ciclo do job vai junto apenas como informação: a falha pode ter
+ * sido do Sankhya, que tem verificação própria.
+ */
+async function checkConnector(connector) {
+  const job = statusManager.getStatus()[connector.name.toLowerCase()];
+  const lastCycle = job ? { status: job.status, message: job.message } : null;
+
+  if (!connector.checkHealth) {
+    return { status: CHECK_STATUS.PASS, message: 'Conector sem verificação própria.', lastCycle };
+  }
+
+  try {
+    const details = await withTimeout(
+      cached(`connector:${connector.name}`, () => connector.checkHealth()),
+      `API ${connector.name}`
+    );
+    return {
+      status: CHECK_STATUS.PASS,
+      message: 'API acessível.',
+      ...details,
+      lastCycle,
+    };
+  } catch (error) {
+    return { status: CHECK_STATUS.FAIL, message: error.message, lastCycle };
+  }
+}
+
+/**
+ * Outbox: idade do lote pendente mais antigo de cada job.
+ */
+function checkBacklog() {
+  const limitMs = healthConfig.maxBacklogAgeMinutes * 60000;
+  const jobs = {};
+  let status = CHECK_STATUS.PASS;
+
+  for (const connector of getEnabledConnectors()) {
+    const backlog = statusManager.getStatus()[connector.name.toLowerCase()]?.backlog;
+    const ageSeconds = backlog?.oldest ? Math.round((Date.now() - Date.parse(backlog.oldest)) / 1000) : 0;
+    const tooOld = limitMs > 0 && ageSeconds * 1000 > limitMs;
+    if (tooOld) status = CHECK_STATUS.FAIL;
+    jobs[connector.name] = {
+      batches: backlog?.batches || 0,
+      items: backlog?.items || 0,
+      oldestAgeSeconds: ageSeconds,
+      ...(tooOld && { status: CHECK_STATUS.FAIL }),
+    };
+  }
+
+  return {
+    status,
+    message: status === CHECK_STATUS.FAIL
+      ? `Há lotes no outbox há mais de ${healthConfig.maxBacklogAgeMinutes} min.`
+      : 'Outbox dentro do limite.',
+    maxAgeMinutes: healthConfig.maxBacklogAgeMinutes,
+    jobs,
+  };
+}
+
+/**
+ * Logs: grava e remove um arquivo de teste no diretório de logs.
+ */
+async function checkLogDir() {
+  const probePath = path.join(logDir, `.health-${process.pid}`);
+  try {
+    await fs.promises.writeFile(probePath, new Date().toISOString());
+    await fs.promises.unlink(probePath);
+    return { status: CHECK_STATUS.PASS, message: 'Diretório de logs gravável.', path: logDir };
+  } catch (error) {
+    return { status: CHECK_STATUS.FAIL, message: `Diretório de logs sem escrita: ${error.message}`, path: logDir };
+  }
+}
+
+/**
+ * Liveness: o processo está de pé e o event loop responde.
+ * Não consulta dependências, para um problema externo não reiniciar o hub.
+ */
+export function getLiveness() {
+  return {
+    status: CHECK_STATUS.PASS,
+    startedAt: startedAt.toISOString(),
+    uptimeSeconds: Math.round(process.uptime()),
+    pid: process.pid,
+  };
+}
+
+/**
+ * Readiness: verifica as dependências do hub.
+ * @returns {Promise<{status: string, checks: Object}>} `status` é 'fail' se alguma
+ *   verificação falhou, 'warn' se alguma está degradada e 'pass' caso contrário.
+ */
+export async function getReadiness() {
+  const connectors = getEnabledConnectors();
+  const [sankhya, logs, ...connectorResults] = await Promise.all([
+    checkSankhya(),
+    checkLogDir(),
+    ...connectors.map(checkConnector),
+  ]);
+
+  const checks = {
+    sankhya,
+    connectors: Object.fromEntries(connectors.map((connector, i) => [connector.name, connectorResults[i]])),
+    outbox: checkBacklog(),
+    logs,
+  };
+
+  const statuses = [sankhya.status, logs.status, checks.outbox.status, ...connectorResults.map(result => result.status)];
+  const status = statuses.includes(CHECK_STATUS.FAIL)
+    ? CHECK_STATUS.FAIL
+    : statuses.includes(CHECK_STATUS.WARN) ? CHECK_STATUS.WARN : CHECK_STATUS.PASS;
+
+  return { status, timestamp: new Date().toISOString(), checks };
+}
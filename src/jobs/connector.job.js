@@ -0,0 +1,294 @@
+import { createLogger } from '../utils/logger.js';
+import { appConfig } from '../config/index.js';
+import { delay } from '../utils/dateTime.js';
+import { SankhyaTokenError } from '../utils/errors.js';
+import { createJobStateManager } from './job.scheduler.js';
+import statusManager from '../utils/statusManager.js';
+import { ERROR_KIND } from '../connectors/contract.js';
+
+import * as sankhyaProcessor from '../sankhya/sankhya.processor.js';
+import { getQuarantineCount } from '../sankhya/sankhya.quarantine.js';
+import { saveDryRunReport } from '../sankhya/sankhya.dryrun.js';
+import { getSankhyaTarget } from '../sankhya/sankhya.targets.js';
+import { createGeofenceTracker } from '../geofence/geofence.events.js';
+import { startRun, recordRun } from '../utils/runHistory.js';
+import { createRawArchive } from '../utils/rawArchive.js';
+import { createQualityFilter, getQualityStats } from '../quality/quality.filter.js';
+import alertManager from '../alerts/alert.manager.js';
+import fleetManager from '../utils/fleetManager.js';
+
+/**
+ * Cria a função 'run' de um job genérico para qualquer conector registrado.
+ * Fluxo: authenticate -> fetchPositions -> map -> qualidade -> outbox -> processPositions
+ * (em cada destino Sankhya de `connector.config.sankhyaTargets`).
+ * @param {Object} connector - Conector que segue o contrato de `connectors/contract.js`
+ * @returns {Function} A função async 'run' a ser usada pelo `createJobLoop`
+ */
+export function createConnectorJob(connector) {
+  const JOB_NAME = connector.name;
+  const logger = createLogger(`Job:${JOB_NAME}`);
+  const targets = connector.config.sankhyaTargets.map(getSankhyaTarget);
+  const state = createJobStateManager(JOB_NAME, { targets, app: appConfig });
+  const geofence = createGeofenceTracker(JOB_NAME);
+  const rawArchive = createRawArchive(JOB_NAME);
+  const quality = createQualityFilter(JOB_NAME, connector.config.quality);
+  statusManager.setJobDetails(JOB_NAME, {
+    quarantine: getQuarantineCount(JOB_NAME),
+    rejected: getQualityStats(JOB_NAME).total,
+    dryRun: connector.config.dryRun,
+  });
+
+  // Busca na API guardando as respostas brutas do ciclo (ver utils/rawArchive.js)
+  async function fetchPositions(runRecord) {
+    const archive = rawArchive.startCycle(runRecord.id);
+    let positions;
+    try {
+      positions = await connector.fetchPositions({ archive: archive.record });
+    } finally {
+      // Guarda também as respostas recebidas antes de uma falha (ex: páginas anteriores)
+      runRecord.rawArchive = archive.save(positions);
+    }
+    runRecord.fetched = positions?.length || 0;
+    return positions;
+  }
+
+  // Mapeia para o formato padrão e aplica as regras de qualidade da instância
+  function mapAndFilter(positions, runRecord, { dryRun = false } = {}) {
+    const standardData = connector.map(positions);
+    runRecord.mapped = standardData.length;
+    runRecord.discarded = runRecord.fetched - standardData.length;
+
+    // A simulação usa um filtro descartável: sem registro das rejeitadas, sem somar nos
+    // contadores e sem mover as últimas posições aceitas que valem para os ciclos reais
+    const filter = dryRun
+      ? createQualityFilter(JOB_NAME, connector.config.quality, { record: false })
+      : quality;
+    const { accepted, rejected, byRule } = filter.filter(standardData);
+    runRecord.rejected = rejected;
+    runRecord.rejectedByRule = byRule;
+    if (rejected > 0 && !dryRun) {
+      statusManager.setJobDetails(JOB_NAME, { rejected: getQualityStats(JOB_NAME).total });
+    }
+    return accepted;
+  }
+
+  /**
+   * Modo simulação: busca, mapeia e consulta o Sankhya como um ciclo normal,
+   * mas não grava nada (nem outbox, cursor ou cercas). O resultado de cada
+   * destino vira um relatório (ver `sankhya.dryrun.js`).
+   */
+  async function simulate(runRecord) {
+    runRecord.dryRun = true;
+    if (connector.authenticate) {
+      statusManager.updateJobStatus(JOB_NAME, 'running', `Simulação: autenticando na API ${JOB_NAME}...`);
+      await connector.authenticate();
+    }
+
+    statusManager.updateJobStatus(JOB_NAME, 'running', 'Simulação: buscando posições na API...');
+    const positions = await fetchPositions(runRecord);
+    const standardData = runRecord.fetched > 0 ? mapAndFilter(positions, runRecord, { dryRun: true }) : [];
+    if (standardData.length === 0) {
+      statusManager.updateJobStatus(JOB_NAME, 'idle', 'Simulação: nenhuma posição válida recebida.');
+      return;
+    }
+
+    let planned = 0;
+    for (const target of targets) {
+      const endpoint = state.getEndpoint(target.name);
+      statusManager.updateJobStatus(JOB_NAME, 'running', `Simulação: consultando o Sankhya ${target.name}...`);
+      let summary;
+      try {
+        summary = await sankhyaProcessor.processPositions(
+          standardData,
+          JOB_NAME,
+          endpoint,
+          connector.config.fabricanteId,
+          { dryRun: true }
+        );
+      } catch (error) {
+        if (!(error instanceof SankhyaTokenError)) state.handleSankhyaError(target.name, error);
+        error.sankhyaTarget = target.name;
+        throw error;
+      }
+      state.handleSankhyaSuccess(target.name);
+
+      const report = saveDryRunReport({ job: JOB_NAME, runId: runRecord.id, target: target.name, url: endpoint.url, summary });
+      runRecord.targets[target.name] = {
+        target: endpoint.url === target.url ? 'primary' : 'contingency',
+        status: 'success',
+        unmatched: summary.unmatched,
+        notNewer: summary.notNewer,
+        inserted: 0,
+        quarantined: 0,
+        planned: summary.planned,
+        report: report.id,
+      };
+      runRecord.unmatched += summary.unmatched;
+      runRecord.notNewer += summary.notNewer;
+      planned += summary.planned;
+    }
+
+    runRecord.status = 'success';
+    statusManager.updateJobStatus(JOB_NAME, 'idle', `Simulação concluída: ${planned} inserção(ões) prevista(s), nada gravado.`);
+  }
+
+  return async function run({ signal } = {}) {
+    const runRecord = startRun(JOB_NAME);
+    let authFailure = false;
+    let failed = false;
+
+    try {
+      if (connector.config.dryRun) {
+        await simulate(runRecord);
+        return;
+      }
+
+      // ETAPA 1: EXTRACT (somente quando não há lotes pendentes no outbox)
+      if (!state.hasPending()) {
+        statusManager.updateJobStatus(JOB_NAME, 'running', 'Outbox vazio. Buscando na API...');
+        logger.info('Outbox vazio. Buscando na API...');
+
+        if (connector.authenticate) {
+          statusManager.updateJobStatus(JOB_NAME, 'running', `Autenticando na API ${JOB_NAME}...`);
+          await connector.authenticate();
+        }
+
+        statusManager.updateJobStatus(JOB_NAME, 'running', 'Buscando posições na API...');
+        const positions = await fetchPositions(runRecord);
+
+        if (!positions || positions.length === 0) {
+          statusManager.updateJobStatus(JOB_NAME, 'idle', 'Nenhuma posição recebida.');
+          logger.info('Nenhuma posição recebida. Encerrando ciclo.');
+          return;
+        }
+
+        const standardData = mapAndFilter(positions, runRecord);
+        if (standardData.length === 0) {
+          connector.commit?.();
+          statusManager.updateJobStatus(JOB_NAME, 'idle', 'Nenhuma posição válida após o mapeamento e as regras de qualidade.');
+          logger.info('Nenhuma posição válida após o mapeamento e as regras de qualidade. Pulando etapa do Sankhya.');
+          return;
+        }
+
+        state.enqueue(standardData);
+        connector.commit?.();
+        fleetManager.updatePositions(JOB_NAME, standardData);
+        geofence.track(standardData);
+        statusManager.updateJobStatus(JOB_NAME, 'running', `${standardData.length} posições salvas no outbox.`);
+        logger.info(`Dados salvos no outbox: ${standardData.length} posições.`);
+      } else {
+        const { batches } = state.getBacklog();
+        statusManager.updateJobStatus(JOB_NAME, 'running', `Reprocessando ${batches} lote(s) pendente(s) do outbox.`);
+        logger.info(`${batches} lote(s) pendente(s) no outbox. Pulando busca na API.`);
+      }
+
+      // ETAPA 2: LOAD (Sankhya) - drena o outbox na ordem de chegada, em cada destino
+      let batch;
+      let quarantined = 0;
+      const primaryEndpoint = state.getEndpoint(targets[0].name);
+      runRecord.sankhyaUrl = primaryEndpoint.url;
+      runRecord.sankhyaTarget = primaryEndpoint.url === targets[0].url ? 'primary' : 'contingency';
+      while ((batch = state.peek())) {
+        // Um destino com falha não impede a entrega aos demais; o lote volta só para ele
+        let failure = null;
+        for (const target of targets) {
+          if (batch.delivered.includes(target.name)) continue;
+          const endpoint = state.getEndpoint(target.name);
+          const targetRun = runRecord.targets[target.name] ??= {
+            target: endpoint.url === target.url ? 'primary' : 'contingency',
+            status: 'success', unmatched: 0, notNewer: 0, inserted: 0, quarantined: 0,
+          };
+          statusManager.updateJobStatus(JOB_NAME, 'running', `Processando ${batch.items.length} posições no Sankhya ${target.name}...`);
+
+          try {
+            const summary = await sankhyaProcessor.processPositions(
+              batch.items,
+              JOB_NAME,
+              endpoint,
+              connector.config.fabricanteId
+            );
+            state.markDelivered(batch.id, target.name);
+            state.handleSankhyaSuccess(target.name);
+            state.recordTargetResult(target.name, { status: 'success', inserted: summary.inserted, quarantined: summary.quarantined });
+            quarantined += summary.quarantined;
+            for (const field of ['unmatched', 'notNewer', 'inserted', 'quarantined']) {
+              targetRun[field] += summary[field];
+              runRecord[field] += summary[field];
+            }
+          } catch (error) {
+            logger.error(`Falha ao gravar no Sankhya ${target.name}: ${error.message}`);
+            targetRun.status = 'error';
+            targetRun.errorMessage = error.message;
+            state.recordTargetResult(target.name, { status: 'error', error: error.message });
+            if (!(error instanceof SankhyaTokenError)) state.handleSankhyaError(target.name, error);
+            error.sankhyaTarget = target.name;
+            failure ??= error;
+          }
+        }
+        if (failure) throw failure;
+
+        // Só remove do outbox após a inserção ter sido concluída em todos os destinos
+        state.ack(batch.id);
+      }
+      runRecord.status = 'success';
+
+      // Eventos de cerca pendentes seguem o mesmo caminho até o Sankhya
+      try {
+        await geofence.flush(targets.map(target => state.getEndpoint(target.name)));
+      } catch (error) {
+        if (error.sankhyaTarget && !(error instanceof SankhyaTokenError)) {
+          state.handleSankhyaError(error.sankhyaTarget, error);
+        }
+        throw error;
+      }
+
+      if (quarantined > 0) {
+        statusManager.setJobDetails(JOB_NAME, { quarantine: getQuarantineCount(JOB_NAME) });
+        statusManager.updateJobStatus(JOB_NAME, 'idle', `Ciclo concluído. ${quarantined} registro(s) enviados para a quarentena.`);
+      } else {
+        statusManager.updateJobStatus(JOB_NAME, 'idle', 'Ciclo concluído com sucesso.');
+      }
+
+    } catch (error) {
+      logger.error(`Erro no ciclo [${JOB_NAME}]: ${error.message}`);
+      statusManager.updateJobStatus(JOB_NAME, 'error', error.message);
+      runRecord.status = 'error';
+      runRecord.errorClass = error.name || 'Error';
+      runRecord.errorMessage = error.message;
+
+      // Falhas de um destino Sankhya já passaram pela lógica de contingência daquele destino
+      const targetFailure = error.sankhyaTarget !== undefined;
+      const kind = error instanceof SankhyaTokenError || targetFailure ? null : connector.classifyError(error);
+
+      if (error instanceof SankhyaTokenError) {
+        logger.warn('Erro de Token/Sessão Sankhya. O job tentará novamente com os lotes do outbox.');
+
+      } else if (targetFailure) {
+        logger.warn(`Falha no Sankhya ${error.sankhyaTarget}. O job tentará novamente com os lotes do outbox.`);
+
+      } else if (kind === ERROR_KIND.AUTH) {
+        authFailure = true;
+        logger.warn(`Forçando re-login da ${JOB_NAME} no próximo ciclo.`);
+        connector.invalidateAuth?.();
+
+      } else if (kind === ERROR_KIND.SOURCE) {
+        logger.warn(`Erro de rede ou API na ${JOB_NAME}. Limpando credenciais.`);
+        connector.invalidateAuth?.();
+
+      } else {
+        state.handleSankhyaError(targets[0].name, error);
+      }
+
+      failed = true;
+    } finally {
+      recordRun(runRecord);
+      alertManager.recordCycle(runRecord, { authFailure });
+    }
+
+    // A espera fica fora do registro: o histórico e os alertas já veem a falha
+    if (failed) {
+      logger.info(`Aguardando ${appConfig.jobRetryDelayMs / 1000}s antes de tentar o job novamente...`);
+      await delay(appConfig.jobRetryDelayMs, signal);
+    }
+  };
+}
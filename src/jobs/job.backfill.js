@@ -0,0 +1,299 @@
+import { randomUUID } from 'crypto';
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import statusManager from '../utils/statusManager.js';
+import { listRawArchives, readRawArchive, resolveRawArchive } from '../utils/rawArchive.js';
+import { getSankhyaTarget } from '../sankhya/sankhya.targets.js';
+import { getJobEndpoint } from './job.scheduler.js';
+import * as sankhyaProcessor from '../sankhya/sankhya.processor.js';
+import { createQualityFilter } from '../quality/quality.filter.js';
+import { saveDryRunReport } from '../sankhya/sankhya.dryrun.js';
+
+const logger = createLogger('Backfill');
+
+/**
+ * Reimportação (backfill) de um intervalo de tempo de um conector.
+ *
+ * Os dados brutos vêm do histórico do fornecedor (`connector.fetchHistory`) ou
+ * do arquivo local de respostas (`utils/rawArchive.js` + `connector.unarchive`),
+ * passam pelo mesmo `map` e pelas mesmas regras de qualidade do ciclo normal
+ * e seguem em blocos para
+ * `processPositions` no modo `replay`: nada que já esteja no histórico do
+ * Sankhya é gravado de novo, então repetir uma reimportação é seguro. Em um job
+ * em simulação (`dryRun`) a reimportação também só gera os relatórios.
+ */
+export const BACKFILL_SOURCE = Object.freeze({
+  HISTORY: 'history', // Endpoint de histórico do fornecedor
+  ARCHIVE: 'archive', // Respostas brutas guardadas localmente
+});
+
+const MAX_KEPT = 20;
+
+// Reimportações iniciadas neste processo (mais recente primeiro)
+const backfills = [];
+
+function publish(backfill) {
+  statusManager.emit('backfill-update', backfill);
+}
+
+// Mantém até MAX_KEPT registros descartando as finalizadas mais antigas: as em andamento
+// continuam visíveis para o cancelamento e para o bloqueio de execução simultânea
+function trimFinished() {
+  for (let i = backfills.length - 1; i >= 0 && backfills.length > MAX_KEPT; i--) {
+    if (backfills[i].status !== 'running') backfills.splice(i, 1);
+  }
+}
+
+/**
+ * Lê as posições das respostas arquivadas entre `from` e `to` + margem
+ * (`backfillArchiveMarginHours`). O arquivo é indexado pela hora da busca, então
+ * respostas posteriores ao intervalo também são lidas (ex: histórico buscado
+ * depois de uma queda). Cada arquivo é mapeado e filtrado por `accept` antes do
+ * próximo, para não acumular em memória os dados brutos fora do intervalo.
+ * @returns {{positions: Array<Object>, fetched: number, files: number}}
+ */
+function readArchivedPositions(connector, from, to, accept) {
+  const until = new Date(to.getTime() + appConfig.backfillArchiveMarginHours * 3600000);
+  const archives = listRawArchives({
+    job: connector.name,
+    from: from.toISOString(),
+    to: until.toISOString(),
+    limit: Infinity,
+  }).reverse();
+  const positions = [];
+  let fetched = 0;
+  for (const entry of archives) {
+    const { responses } = readRawArchive(resolveRawArchive(entry.job, entry.day, entry.file));
+    const raw = [];
+    for (const { request, data } of responses) {
+      // Conectores sem `archive` têm as posições já extraídas (ver rawArchive.save)
+      if (request.method === 'fetchPositions') raw.push(...data);
+      else if (connector.unarchive) raw.push(...connector.unarchive(request, data));
+    }
+    fetched += raw.length;
+    positions.push(...connector.map(raw).filter(accept));
+  }
+  return { positions, fetched, files: archives.length };
+}
+
+/**
+ * Valida os parâmetros de uma reimportação.
+ * @param {Object} connector - Conector registrado
+ * @param {Object} params - { from, to, assets, source }
+ * @returns {{from: Date, to: Date, assets: Array<string>, source: string}}
+ */
+export function normalizeBackfillParams(connector, { from, to, assets, source }) {
+  const range = { from: new Date(from), to: new Date(to) };
+  if (isNaN(range.from) || isNaN(range.to)) throw new Error('Informe from/to como datas válidas.');
+  if (range.from >= range.to) throw new Error("'from' deve ser anterior a 'to'.");
+
+  const list = (Array.isArray(assets) ? assets : String(assets || '').split(','))
+    .map(asset => String(asset).trim())
+    .filter(Boolean);
+
+  const resolvedSource = source || (connector.fetchHistory ? BACKFILL_SOURCE.HISTORY : BACKFILL_SOURCE.ARCHIVE);
+  if (!Object.values(BACKFILL_SOURCE).includes(resolvedSource)) {
+    throw new Error(`Origem '${source}' inválida (use ${Object.values(BACKFILL_SOURCE).join(' ou ')}).`);
+  }
+  if (resolvedSource === BACKFILL_SOURCE.HISTORY && !connector.fetchHistory) {
+    throw new Error(`O conector [${connector.name}] não oferece histórico por intervalo. Use a origem '${BACKFILL_SOURCE.ARCHIVE}'.`);
+  }
+  return { ...range, assets: list, source: resolvedSource };
+}
+
+/**
+ * Executa uma reimportação e acompanha o progresso em `backfill`.
+ * @param {Object} connector - Conector registrado
+ * @param {Object} backfill - Registro criado por `startBackfill`/`runBackfill`
+ * @param {{from: Date, to: Date, assets: Array<string>, source: string}} params - Já validados
+ * @param {AbortSignal} [signal] - Interrompe entre um bloco e outro
+ */
+async function execute(connector, backfill, { from, to, assets, source }, signal) {
+  const update = (fields) => {
+    Object.assign(backfill, fields);
+    publish(backfill);
+  };
+  const assetFilter = assets.length > 0 ? new Set(assets.map(asset => asset.toUpperCase())) : null;
+  const accept = pos => pos.date >= from && pos.date <= to
+    && (!assetFilter || assetFilter.has(String(pos.identifier).toUpperCase()));
+
+  // 1. Dados brutos, mapeamento e filtros (intervalo e ativos)
+  let mapped;
+  if (source === BACKFILL_SOURCE.HISTORY) {
+    update({ phase: 'Buscando histórico no fornecedor...' });
+    if (connector.authenticate) await connector.authenticate();
+    const raw = await connector.fetchHistory({ from, to, assets });
+    backfill.fetched = raw.length;
+    mapped = connector.map(raw).filter(accept);
+  } else {
+    update({ phase: 'Lendo respostas arquivadas...' });
+    ({ positions: mapped, fetched: backfill.fetched, files: backfill.archiveFiles } =
+      readArchivedPositions(connector, from, to, accept));
+  }
+
+  // 2. Regras de qualidade. Filtro próprio: os saltos são medidos só dentro do intervalo reimportado
+  mapped.sort((a, b) => a.date - b.date);
+  const { accepted: positions, rejected } = createQualityFilter(connector.name, connector.config.quality).filter(mapped);
+  backfill.rejected = rejected;
+  backfill.total = positions.length;
+  update({ phase: `${positions.length} posições no intervalo.` });
+
+  // 3. Gravação em blocos, em cada destino Sankhya da instância (na URL que o job está
+  // usando: após a troca para a contingência, a reimportação vai junto). Job em simulação:
+  // nada é gravado e o plano de cada destino vira um relatório (ver `sankhya.dryrun.js`)
+  const { dryRun } = connector.config;
+  const targets = connector.config.sankhyaTargets.map(getSankhyaTarget);
+  const plans = {};
+  for (let i = 0; i < positions.length; i += appConfig.backfillChunkSize) {
+    if (signal?.aborted) {
+      update({ status: 'cancelled', phase: 'Cancelada.' });
+      return;
+    }
+    const chunk = positions.slice(i, i + appConfig.backfillChunkSize);
+    for (const target of targets) {
+      const { plan, ...summary } = await sankhyaProcessor.processPositions(
+        chunk,
+        connector.name,
+        getJobEndpoint(connector.name, target),
+        connector.config.fabricanteId,
+        { replay: { from, to }, dryRun }
+      );
+      const totals = backfill.targets[target.name] ??= { unmatched: 0, notNewer: 0, inserted: 0, quarantined: 0, planned: 0 };
+      for (const field of Object.keys(totals)) totals[field] += summary[field] ?? 0;
+      if (plan) (plans[target.name] ??= []).push(...plan);
+    }
+    update({
+      processed: i + chunk.length,
+      phase: `${dryRun ? 'Simulando' : 'Gravando'} no Sankhya (${i + chunk.length}/${positions.length})...`,
+    });
+  }
+
+  if (dryRun) {
+    for (const target of targets) {
+      const totals = backfill.targets[target.name];
+      if (!totals) continue;
+      const report = saveDryRunReport({
+        job: connector.name,
+        runId: backfill.id,
+        target: target.name,
+        url: getJobEndpoint(connector.name, target).url,
+        summary: { ...totals, plan: plans[target.name] ?? [] },
+      });
+      totals.report = report.id;
+    }
+    update({ status: 'success', phase: 'Simulação concluída: nada foi gravado.' });
+    return;
+  }
+
+  update({ status: 'success', phase: 'Concluída.' });
+}
+
+function createRecord(connector, params, requestedBy) {
+  return {
+    id: randomUUID(),
+    job: connector.name,
+    from: params.from.toISOString(),
+    to: params.to.toISOString(),
+    assets: params.assets,
+    source: params.source,
+    requestedBy,
+    status: 'running', // 'success', 'error' ou 'cancelled' ao final
+    phase: 'Iniciando...',
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    fetched: 0,
+    rejected: 0,
+    total: 0,
+    processed: 0,
+    archiveFiles: null, // Arquivos lidos (origem 'archive')
+    dryRun: connector.config.dryRun, // Job em simulação: nada é gravado, só os relatórios
+    targets: {}, // Resumo por destino Sankhya: unmatched, notNewer, inserted, quarantined, planned (e report, na simulação)
+    errorMessage: null,
+  };
+}
+
+/**
+ * Executa uma reimportação até o fim (usado pela CLI `scripts/backfill.js`).
+ * @param {Object} connector - Conector registrado
+ * @param {Object} params - { from, to, assets?, source? }
+ * @param {Function} [onProgress] - Chamado a cada atualização com o registro
+ * @returns {Promise<Object>} O registro final da reimportação
+ */
+export async function runBackfill(connector, params, onProgress) {
+  const normalized = normalizeBackfillParams(connector, params);
+  const backfill = createRecord(connector, normalized, 'cli');
+  const report = () => onProgress?.(backfill);
+  const timer = setInterval(report, 1000);
+
+  try {
+    await execute(connector, backfill, normalized);
+  } catch (error) {
+    backfill.status = 'error';
+    backfill.errorMessage = error.message;
+  } finally {
+    clearInterval(timer);
+    backfill.endedAt = new Date().toISOString();
+    report();
+  }
+  return backfill;
+}
+
+/**
+ * Inicia uma reimportação em segundo plano (API do painel). O progresso é
+ * enviado aos clientes pelo evento 'backfill-update'.
+ * @param {Object} connector - Conector registrado
+ * @param {Object} params - { from, to, assets?, source? }
+ * @param {string} requestedBy - Usuário que pediu a reimportação
+ * @returns {Object} O registro da reimportação (já em andamento)
+ * @throws {Error} Parâmetros inválidos ou reimportação do mesmo job em andamento
+ */
+export function startBackfill(connector, params, requestedBy) {
+  if (backfills.some(entry => entry.job === connector.name && entry.status === 'running')) {
+    throw new Error(`Já há uma reimportação em andamento para [${connector.name}].`);
+  }
+  const normalized = normalizeBackfillParams(connector, params);
+  const backfill = createRecord(connector, normalized, requestedBy);
+  const controller = new AbortController();
+  Object.defineProperty(backfill, 'controller', { value: controller, enumerable: false });
+
+  backfills.unshift(backfill);
+  trimFinished();
+  logger.info(`[${connector.name}] Reimportação ${backfill.id} iniciada por ${requestedBy}: ${backfill.from} a ${backfill.to} (${backfill.source}).`);
+  publish(backfill);
+
+  execute(connector, backfill, normalized, controller.signal)
+    .catch(error => {
+      logger.error(`[${connector.name}] Reimportação ${backfill.id} falhou: ${error.message}`);
+      backfill.status = 'error';
+      backfill.errorMessage = error.message;
+    })
+    .finally(() => {
+      backfill.endedAt = new Date().toISOString();
+      const totals = Object.entries(backfill.targets)
+        .map(([name, t]) => `${name}: ${backfill.dryRun ? `${t.planned} previstas (simulação)` : `${t.inserted} inseridas`}`)
+        .join(', ');
+      logger.info(`[${connector.name}] Reimportação ${backfill.id} finalizada (${backfill.status}). ${totals}`);
+      publish(backfill);
+    });
+
+  return backfill;
+}
+
+/**
+ * Pede a interrupção de uma reimportação em andamento (após o bloco atual).
+ * @param {string} id - Id da reimportação
+ * @returns {Object | null} O registro, ou null se não existir
+ */
+export function cancelBackfill(id) {
+  const backfill = backfills.find(entry => entry.id === id);
+  if (backfill?.status === 'running') backfill.controller.abort();
+  return backfill || null;
+}
+
+/**
+ * Lista as reimportações iniciadas neste processo (mais recente primeiro).
+ * @returns {Array<Object>}
+ */
+export function listBackfills() {
+  return backfills;
+}
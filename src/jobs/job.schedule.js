@@ -0,0 +1,142 @@
+import { Cron } from 'croner';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Converte o campo de dias da semana no formato cron ('1-5', '0,6', '*')
+ * para um Set de 0 (domingo) a 6 (sábado).
+ */
+function parseDays(field) {
+  if (field === '*') return new Set([0, 1, 2, 3, 4, 5, 6]);
+  const days = new Set();
+  for (const part of field.split(',')) {
+    const [start, end = start] = part.split('-').map(Number);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > 7 || start > end) {
+      throw new Error(`dias da semana '${field}' inválidos`);
+    }
+    for (let day = start; day <= end; day++) days.add(day % 7);
+  }
+  return days;
+}
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`horário '${value}' inválido`);
+  }
+  return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+/**
+ * Janela de horário no formato '[<dias>] <HH:MM>-<HH:MM>' (ex: '1-5 06:00-22:00').
+ * Os dias usam a notação cron (0 = domingo; omitidos = todos). Janelas que
+ * cruzam a meia-noite (ex: '22:00-06:00') pertencem ao dia em que começam.
+ * Usada na janela ativa dos jobs e no horário de silêncio dos alertas.
+ * @param {string} value - Definição da janela
+ * @param {string} timezone - Fuso horário IANA (ex: 'America/Sao_Paulo')
+ */
+export function createTimeWindow(value, timezone) {
+  const tokens = value.trim().split(/\s+/);
+  const [daysField, range] = tokens.length === 1 ? ['*', tokens[0]] : tokens;
+  const [fromText, toText] = (range || '').split('-');
+  const from = parseTime(fromText);
+  const to = parseTime(toText);
+  const days = parseDays(daysField);
+
+  const partsFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+  });
+  const startCron = new Cron(`${from.minute} ${from.hour} * * ${daysField}`, { timezone, paused: true });
+  const endCron = new Cron(`${to.minute} ${to.hour} * * *`, { timezone, paused: true });
+  const fromMinutes = from.hour * 60 + from.minute;
+  const toMinutes = to.hour * 60 + to.minute;
+
+  return {
+    contains(date) {
+      const parts = Object.fromEntries(partsFormat.formatToParts(date).map(p => [p.type, p.value]));
+      const weekday = WEEKDAYS[parts.weekday];
+      const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+      if (fromMinutes < toMinutes) {
+        return days.has(weekday) && minutes >= fromMinutes && minutes < toMinutes;
+      }
+      // Janela noturna: a parte da madrugada é do dia anterior
+      if (minutes >= fromMinutes) return days.has(weekday);
+      return minutes < toMinutes && days.has((weekday + 6) % 7);
+    },
+    nextStart: (date) => startCron.nextRun(date),
+    nextEnd: (date) => endCron.nextRun(date),
+  };
+}
+
+const formatMinutes = (ms) => `${Math.round((ms / 60000) * 100) / 100} min`;
+
+/**
+ * Cria o agendamento de um job a partir da configuração.
+ *
+ * Modos, em ordem de prioridade:
+ *  - cron: uma ou mais expressões separadas por ';' (a próxima execução é a
+ *    mais próxima entre elas).
+ *  - janela ativa: `interval` dentro da janela e `offHoursInterval` fora dela
+ *    (0 = não executa fora da janela).
+ *  - intervalo fixo: `interval` entre o fim de um ciclo e o início do próximo.
+ *
+ * @param {Object} options
+ * @param {number} options.interval - Intervalo em ms
+ * @param {string} [options.cron] - Expressões cron (ex: '*\/2 6-21 * * 1-5; *\/15 * * * *')
+ * @param {string} [options.activeWindow] - Janela ativa (ex: '1-5 06:00-22:00')
+ * @param {number} [options.offHoursInterval] - Intervalo em ms fora da janela
+ * @param {string} [options.timezone] - Fuso horário IANA (ex: 'America/Sao_Paulo')
+ * @returns {{ type: string, describe: Function, nextRun: Function }}
+ */
+export function createSchedule({ interval, cron, activeWindow, offHoursInterval = 0, timezone } = {}) {
+  if (cron) {
+    const expressions = cron.split(';').map(expr => expr.trim()).filter(Boolean);
+    const crons = expressions.map(expr => {
+      try {
+        return new Cron(expr, { timezone, paused: true });
+      } catch (e) {
+        throw new Error(`Expressão cron '${expr}' inválida: ${e.message}`);
+      }
+    });
+    return {
+      type: 'cron',
+      describe: () => `cron ${expressions.join('; ')} (${timezone})`,
+      nextRun(from = new Date()) {
+        const runs = crons.map(c => c.nextRun(from)).filter(Boolean);
+        return runs.length ? new Date(Math.min(...runs)) : null;
+      },
+    };
+  }
+
+  if (activeWindow) {
+    let window;
+    try {
+      window = createTimeWindow(activeWindow, timezone);
+    } catch (e) {
+      throw new Error(`Janela ativa '${activeWindow}' inválida: ${e.message}`);
+    }
+    const offHours = offHoursInterval > 0 ? `a cada ${formatMinutes(offHoursInterval)}` : 'sem execuções';
+    return {
+      type: 'window',
+      describe: () => `a cada ${formatMinutes(interval)} em ${activeWindow}, fora dela ${offHours} (${timezone})`,
+      nextRun(from = new Date()) {
+        if (window.contains(from)) {
+          const candidate = new Date(from.getTime() + interval);
+          if (offHoursInterval > 0 || candidate < window.nextEnd(from)) return candidate;
+          return window.nextStart(candidate);
+        }
+        const start = window.nextStart(from);
+        if (offHoursInterval > 0) {
+          return new Date(Math.min(from.getTime() + offHoursInterval, start));
+        }
+        return start;
+      },
+    };
+  }
+
+  return {
+    type: 'interval',
+    describe: () => `a cada ${formatMinutes(interval)}`,
+    nextRun: (from = new Date()) => new Date(from.getTime() + interval),
+  };
+}
@@ -1,29 +1,102 @@
 import logger, { createLogger } from '../utils/logger.js';
 import { delay } from '../utils/dateTime.js';
-import { appConfig, sankhyaConfig } from '../config/index.js';
+import { appConfig } from '../config/index.js';
 import statusManager from '../utils/statusManager.js'; // IMPORTA O STATUS MANAGER
+import { createOutbox } from '../utils/outbox.js';
+import { createSchedule } from './job.schedule.js';
+import alertManager from '../alerts/alert.manager.js';
+import { watchPrimary, unwatchPrimary } from '../sankhya/sankhya.health.js';
+
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Controladores de todos os loops criados, por nome do job (minúsculo)
+const controllers = new Map();
+
+/**
+ * Retorna o controlador de um job pelo nome (ou undefined).
+ * @param {string} name - Nome do job (ex: 'Atualcargo')
+ */
+export function getJobController(name) {
+  return controllers.get(name.toLowerCase());
+}
+
+/**
+ * Retorna os controladores de todos os jobs agendados.
+ */
+export function getJobControllers() {
+  return [...controllers.values()];
+}
+
+// Gerenciadores de estado por nome do job (minúsculo), ver `createJobStateManager`
+const stateManagers = new Map();
+
+/**
+ * Destino e URL que o job está usando (principal/contingência) para um destino Sankhya.
+ * Sem o job neste processo (ex: reimportação pela linha de comando), usa a URL principal.
+ * @param {string} sourceName - Nome do job (ex: 'Atualcargo')
+ * @param {Object} target - Destino Sankhya (ver `sankhya.targets.js`)
+ * @returns {{target: Object, url: string}}
+ */
+export function getJobEndpoint(sourceName, target) {
+  return stateManagers.get(sourceName.toLowerCase())?.getEndpoint(target.name) ?? { target, url: target.url };
+}
 
 /**
  * Cria e gerencia um loop de job seguro (setTimeout recursivo).
  * @param {string} name - Nome do Job (para logs)
- * @param {Function} jobFunction - A função async 'run' do job
- * @param {number} intervalMs - O intervalo em milissegundos
+ * @param {Function} jobFunction - A função async 'run' do job. Recebe `{ signal }`,
+ *   um AbortSignal disparado quando a espera de retentativa é cancelada.
+ * @param {Object} scheduleOptions - Intervalo, cron e/ou janela ativa (ver `createSchedule`)
+ * @returns {Object} Controlador do job (executar agora, pausar, retomar, etc.)
  */
-export function createJobLoop(name, jobFunction, intervalMs) {
-  logger.info(
-    `[JobScheduler] Agendando job [${name}] para rodar a cada ${intervalMs / 60000} minutos.`
-  );
-  
-  // Seta o status inicial como 'idle' e agenda a primeira execução
-  const firstRunTimestamp = Date.now() + 1000; // 1 segundo a partir de agora
-  statusManager.updateJobStatus(name, 'idle', 'Aguardando primeira execução...', firstRunTimestamp);
+export function createJobLoop(name, jobFunction, scheduleOptions) {
+  let jobSchedule = createSchedule(scheduleOptions);
+  let interval = scheduleOptions.interval;
+  logger.info(`[JobScheduler] Agendando job [${name}]: ${jobSchedule.describe()}.`);
+
+  let timer = null;
+  let running = false;
+  let paused = false;
+  let abortController = null;
+
+  const publishControl = () => {
+    statusManager.setJobDetails(name, { control: controller.getState() });
+  };
+
+  // Agenda a próxima execução e publica o horário no painel
+  const schedule = (delayMs, message) => {
+    clearTimeout(timer);
+    const nextRunTimestamp = Date.now() + delayMs;
+    // setTimeout aceita no máximo ~24,8 dias; acima disso reagenda ao disparar
+    timer = setTimeout(() => {
+      if (Date.now() < nextRunTimestamp) schedule(nextRunTimestamp - Date.now(), message);
+      else loop();
+    }, Math.min(delayMs, MAX_TIMEOUT_MS));
+
+    const jobKey = name.toLowerCase();
+    const currentStatus = statusManager.getStatus()[jobKey] || { status: 'idle', message: 'Ciclo concluído.' };
+    statusManager.updateJobStatus(
+        name,
+        currentStatus.status === 'paused' ? 'idle' : currentStatus.status,
+        message || currentStatus.message,
+        nextRunTimestamp
+    );
+    publishControl();
+  };
 
   const loop = async () => {
+    if (running) return; // Nunca inicia um segundo ciclo simultâneo do mesmo job
+    clearTimeout(timer);
+    timer = null;
+    running = true;
+    abortController = new AbortController();
+    publishControl();
+
     logger.info(`--- [Iniciando Job: ${name}] ---`);
     try {
       // ATUALIZADO: Limpa o timer 'nextRun' e seta o status para 'running'
       statusManager.updateJobStatus(name, 'running', 'Iniciando...', null);
-      await jobFunction();
+      await jobFunction({ signal: abortController.signal });
     } catch (error) {
       logger.error(
         `[Job: ${name}] Erro fatal não tratado no loop: ${error.message}`,
@@ -31,91 +104,262 @@ export function createJobLoop(name, jobFunction, intervalMs) {
       );
       // Se o job falhar, ele mesmo deve setar o status de erro no statusManager
     } finally {
-      const nextRunMin = intervalMs / 60000;
-      logger.info(`[Job: ${name}] Ciclo finalizado. Próxima execução em ${nextRunMin} min.`);
+      running = false;
+      abortController = null;
+
+      if (paused) {
+        logger.info(`[Job: ${name}] Ciclo finalizado. Job pausado, nenhuma execução agendada.`);
+        logger.info(`-----------------------------------`);
+        statusManager.updateJobStatus(name, 'paused', 'Job pausado pelo operador.');
+        publishControl();
+      } else {
+        scheduleNext();
+      }
+    }
+  };
+
+  // Calcula o próximo horário pelo agendamento (intervalo, cron ou janela ativa)
+  const scheduleNext = () => {
+    const nextRun = jobSchedule.nextRun(new Date());
+    if (!nextRun) {
+      logger.warn(`[Job: ${name}] O agendamento não tem próximas execuções. Job parado.`);
       logger.info(`-----------------------------------`);
-      
-      // --- NOVO CÓDIGO ---
-      // Pega o status atual (que foi definido pelo job, ex: 'idle' ou 'error')
-      const jobKey = name.toLowerCase();
-      const currentStatus = statusManager.getStatus()[jobKey] || { status: 'idle', message: 'Ciclo concluído.' };
-      
-      // Calcula o timestamp exato da próxima execução
-      const nextRunTimestamp = Date.now() + intervalMs;
-      
-      // Atualiza o status com a data da próxima execução
-      statusManager.updateJobStatus(
-          name, 
-          currentStatus.status, 
-          currentStatus.message, 
-          nextRunTimestamp // Passa o novo timestamp
-      );
-      // --- FIM DO NOVO CÓDIGO ---
-      
-      // Agenda a próxima execução
-      setTimeout(loop, intervalMs);
+      clearTimeout(timer);
+      timer = null;
+      statusManager.updateJobStatus(name, 'idle', 'Sem próximas execuções no agendamento.', null);
+      publishControl();
+      return;
     }
+    logger.info(`[Job: ${name}] Ciclo finalizado. Próxima execução em ${nextRun.toLocaleString('pt-BR')}.`);
+    logger.info(`-----------------------------------`);
+    schedule(Math.max(nextRun.getTime() - Date.now(), 0));
+  };
+
+  const controller = {
+    name,
+
+    /**
+     * Executa um ciclo imediatamente. Retorna false se já houver um em andamento.
+     */
+    triggerNow() {
+      if (running) return false;
+      logger.info(`[JobScheduler] Execução imediata do job [${name}] solicitada.`);
+      loop();
+      return true;
+    },
+
+    /**
+     * Impede novos ciclos. Um ciclo em andamento termina normalmente.
+     */
+    pause() {
+      if (paused) return false;
+      paused = true;
+      clearTimeout(timer);
+      timer = null;
+      logger.info(`[JobScheduler] Job [${name}] pausado.`);
+      if (!running) {
+        statusManager.updateJobStatus(name, 'paused', 'Job pausado pelo operador.');
+      }
+      publishControl();
+      return true;
+    },
+
+    /**
+     * Retoma um job pausado, agendando o próximo ciclo para daqui a 1 segundo.
+     */
+    resume() {
+      if (!paused) return false;
+      paused = false;
+      logger.info(`[JobScheduler] Job [${name}] retomado.`);
+      if (running) {
+        publishControl();
+      } else {
+        schedule(1000, 'Job retomado. Aguardando execução...');
+      }
+      return true;
+    },
+
+    /**
+     * Interrompe a espera de retentativa após um erro (o ciclo termina em seguida).
+     */
+    cancelPendingRetry() {
+      const jobKey = name.toLowerCase();
+      const waitingRetry = running && statusManager.getStatus()[jobKey]?.status === 'error';
+      if (!waitingRetry) return false;
+      logger.info(`[JobScheduler] Espera de retentativa do job [${name}] cancelada.`);
+      abortController.abort();
+      return true;
+    },
+
+    /**
+     * Altera o intervalo entre ciclos. Se o job estiver aguardando, reagenda.
+     * O intervalo fixo substitui o cron/janela ativa configurados até o reinício.
+     * @param {number} newIntervalMs - Novo intervalo em milissegundos
+     */
+    setInterval(newIntervalMs) {
+      interval = newIntervalMs;
+      jobSchedule = createSchedule({ interval });
+      logger.info(`[JobScheduler] Intervalo do job [${name}] alterado para ${interval / 60000} minutos.`);
+      if (!running && !paused) {
+        schedule(interval);
+      } else {
+        publishControl();
+      }
+    },
+
+    getState() {
+      return {
+        running,
+        paused,
+        intervalMs: interval,
+        schedule: jobSchedule.describe(),
+        scheduled: timer !== null,
+      };
+    },
   };
 
-  // Inicia o primeiro ciclo (agora com o delay inicial)
-  setTimeout(loop, 1000);
+  controllers.set(name.toLowerCase(), controller);
+
+  // Seta o status inicial como 'idle' e agenda a primeira execução: com intervalo fixo,
+  // 1 segundo a partir de agora; com cron/janela ativa, no primeiro horário previsto.
+  statusManager.updateJobStatus(name, 'idle', 'Aguardando primeira execução...');
+  if (jobSchedule.type === 'interval') {
+    schedule(1000);
+  } else {
+    const firstRun = jobSchedule.nextRun(new Date());
+    if (firstRun) schedule(Math.max(firstRun.getTime() - Date.now(), 0));
+  }
+
+  return controller;
 }
 
 
 /**
- * Cria um gerenciador de estado para um job (cache, URL Sankhya).
+ * Cria um gerenciador de estado para um job (outbox e, por destino Sankhya,
+ * a URL em uso e a contagem de falhas para a troca de contingência).
  * @param {string} sourceName - Nome do Job (ex: 'Atualcargo')
- * @param {Object} config - Configurações (sankhyaConfig, appConfig)
+ * @param {Object} config - Configurações (`targets`: destinos Sankhya do job, `app`: appConfig)
  */
 export function createJobStateManager(sourceName, config) {
   const logger = createLogger(`Job:${sourceName}`);
-  
-  return {
-    cache: null,
-    sankhyaUrl: config.sankhya.url, // URL principal
-    primaryLoginAttempts: 0,
-    
-    setCache(data) {
-      this.cache = data;
-    },
-    
-    getCache() {
-      return this.cache;
-    },
-    
-    clearCache() {
-      this.cache = null;
-    },
-    
-    // Lógica de falha e troca de URL do Sankhya
-    handleSankhyaError(error) {
-      logger.warn(`Erro de rede no Sankhya: ${error.message}. Iniciando lógica de contingência.`);
-
-      if (config.sankhya.contingencyUrl) {
-          if (this.sankhyaUrl === config.sankhya.url) {
-              this.primaryLoginAttempts++;
-              logger.info(`Falha de rede no principal. Tentativa ${this.primaryLoginAttempts}/${config.app.sankhyaRetryLimit}.`);
-              
-              if (this.primaryLoginAttempts >= config.app.sankhyaRetryLimit) {
-                  logger.warn('Limite de falhas no principal atingido. Alternando para contingência.');
-                  this.sankhyaUrl = config.sankhya.contingencyUrl;
-                  this.primaryLoginAttempts = 0;
+  const outbox = createOutbox(sourceName, config.app.dataDir);
+  statusManager.setJobDetails(sourceName, { backlog: outbox.getBacklog() });
+
+  // destino -> { target, url, primaryLoginAttempts }
+  const routes = new Map(config.targets.map(target => [
+    target.name,
+    { target, url: target.url, primaryLoginAttempts: 0 },
+  ]));
+
+  // Situação de cada destino no card do painel
+  const targetDetails = {};
+  const publishTarget = (name, details) => {
+    const route = routes.get(name);
+    targetDetails[name] = {
+      ...targetDetails[name],
+      target: route.url === route.target.url ? 'primary' : 'contingency',
+      ...details,
+    };
+    statusManager.setJobDetails(sourceName, { sankhyaTargets: { ...targetDetails } });
+  };
+  config.targets.forEach(target => publishTarget(target.name, {}));
+
+  const manager = {
+    // Lotes mapeados aguardando inserção no Sankhya (persistidos em disco)
+    hasPending() {
+      return outbox.peek() !== null;
+    },
+
+    enqueue(positions) {
+      const batch = outbox.enqueue(positions);
+      statusManager.setJobDetails(sourceName, { backlog: outbox.getBacklog() });
+      return batch;
+    },
+
+    peek() {
+      return outbox.peek();
+    },
+
+    markDelivered(id, targetName) {
+      outbox.markDelivered(id, targetName);
+    },
+
+    ack(id) {
+      outbox.ack(id);
+      statusManager.setJobDetails(sourceName, { backlog: outbox.getBacklog() });
+    },
+
+    getBacklog() {
+      return outbox.getBacklog();
+    },
+
+    /**
+     * Destino e URL em uso (principal/contingência) para as chamadas ao Sankhya.
+     * @param {string} targetName - Nome do destino
+     * @returns {{target: Object, url: string}}
+     */
+    getEndpoint(targetName) {
+      const { target, url } = routes.get(targetName);
+      return { target, url };
+    },
+
+    /**
+     * Registra o resultado do último envio a um destino (exibido no painel).
+     * @param {string} targetName - Nome do destino
+     * @param {Object} result - Ex: { status: 'success', inserted } ou { status: 'error', error }
+     */
+    recordTargetResult(targetName, result) {
+      publishTarget(targetName, { lastResult: { ...result, at: new Date().toISOString() } });
+    },
+
+    // Lógica de falha e troca de URL do Sankhya (independente por destino)
+    handleSankhyaError(targetName, error) {
+      const route = routes.get(targetName);
+      const { target } = route;
+      logger.warn(`Erro de rede no Sankhya ${target.name}: ${error.message}. Iniciando lógica de contingência.`);
+
+      if (target.contingencyUrl) {
+          if (route.url === target.url) {
+              route.primaryLoginAttempts++;
+              logger.info(`Falha de rede no principal (${target.name}). Tentativa ${route.primaryLoginAttempts}/${config.app.sankhyaRetryLimit}.`);
+
+              if (route.primaryLoginAttempts >= config.app.sankhyaRetryLimit) {
+                  logger.warn(`Limite de falhas no principal (${target.name}) atingido. Alternando para contingência.`);
+                  route.url = target.contingencyUrl;
+                  route.primaryLoginAttempts = 0;
+                  alertManager.sankhyaTargetChanged(sourceName, target.name, 'contingency', route.url);
+                  publishTarget(target.name, {});
+                  // Volta sozinho assim que a sonda confirmar que o principal está saudável
+                  watchPrimary(target, sourceName, () => this.failback(target.name, 'Sonda confirmou o principal saudável.'));
               }
           } else {
-              logger.warn('Falha de rede na contingência. Voltando para o principal.');
-              this.sankhyaUrl = config.sankhya.url; // Volta para o principal
-              this.primaryLoginAttempts = 0;
+              unwatchPrimary(target, sourceName);
+              this.failback(target.name, 'Falha de rede na contingência.');
           }
       } else {
-          logger.warn('Erro de rede no Sankhya, mas não há URL de contingência definida.');
+          logger.warn(`Erro de rede no Sankhya ${target.name}, mas não há URL de contingência definida.`);
       }
     },
-    
-    // Reseta tentativas se o login na URL principal for bem-sucedido
-    handleSankhyaSuccess() {
-        if (this.sankhyaUrl === config.sankhya.url) {
-            this.primaryLoginAttempts = 0;
+
+    // Volta a usar a URL principal de um destino
+    failback(targetName, reason) {
+        const route = routes.get(targetName);
+        if (route.url === route.target.url) return;
+        logger.warn(`${reason} Voltando para o principal (${targetName}).`);
+        route.url = route.target.url;
+        route.primaryLoginAttempts = 0;
+        alertManager.sankhyaTargetChanged(sourceName, targetName, 'primary', route.url);
+        publishTarget(targetName, {});
+    },
+
+    // Reseta tentativas se o envio pela URL principal for bem-sucedido
+    handleSankhyaSuccess(targetName) {
+        const route = routes.get(targetName);
+        if (route.url === route.target.url) {
+            route.primaryLoginAttempts = 0;
         }
     }
   };
-}
\ No newline at end of file
+  stateManagers.set(sourceName.toLowerCase(), manager);
+  return manager;
+}
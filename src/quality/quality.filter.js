@@ -0,0 +1,179 @@
+import fs from 'fs';
+import path from 'path';
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import statusManager from '../utils/statusManager.js';
+import { QUALITY_CHECKS, unitKey } from './quality.rules.js';
+
+const logger = createLogger('QualityFilter');
+
+/**
+ * Etapa de qualidade entre o `map` do conector e o processamento no Sankhya.
+ * As posições rejeitadas saem do fluxo e ficam, por job, em
+ * `<dataDir>/rejected/<job>.jsonl` (apenas as `qualityMaxRejected` mais
+ * recentes) para consulta em `/api/quality/rejected`. Os contadores por regra
+ * valem desde o início do processo; cada execução também guarda os seus
+ * (`rejected`/`rejectedByRule` em `runHistory.js`).
+ */
+const REJECTED_DIR = path.resolve(appConfig.dataDir, 'rejected');
+fs.mkdirSync(REJECTED_DIR, { recursive: true });
+
+const fileFor = (jobName) => path.join(REJECTED_DIR, `${path.basename(jobName.toLowerCase())}.jsonl`);
+
+// job -> { total, byRule, lastRejectedAt }
+const stats = new Map();
+// job -> linhas no arquivo de rejeitadas (carregado sob demanda)
+const lineCounts = new Map();
+
+function readLines(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+}
+
+function storeRejected(jobName, entries) {
+  const file = fileFor(jobName);
+  try {
+    fs.appendFileSync(file, `${entries.map(entry => JSON.stringify(entry)).join('\n')}\n`);
+    const cached = lineCounts.get(jobName);
+    const count = cached === undefined ? readLines(file).length : cached + entries.length;
+
+    // Reescreve com folga de 20% para não regravar o arquivo a cada ciclo
+    if (count > appConfig.qualityMaxRejected * 1.2) {
+      const kept = readLines(file).slice(-appConfig.qualityMaxRejected);
+      fs.writeFileSync(file, `${kept.join('\n')}\n`);
+      lineCounts.set(jobName, kept.length);
+    } else {
+      lineCounts.set(jobName, count);
+    }
+  } catch (error) {
+    // O registro é auxiliar: uma falha aqui não interrompe o ciclo
+    logger.error(`[${jobName}] Falha ao gravar as posições rejeitadas: ${error.message}`);
+  }
+}
+
+function recordStats(jobName, byRule, rejectedAt) {
+  const jobStats = stats.get(jobName) || { total: 0, byRule: {}, lastRejectedAt: null };
+  for (const [rule, count] of Object.entries(byRule)) {
+    jobStats.byRule[rule] = (jobStats.byRule[rule] || 0) + count;
+    jobStats.total += count;
+  }
+  jobStats.lastRejectedAt = rejectedAt;
+  stats.set(jobName, jobStats);
+  statusManager.emit('quality-update', { job: jobName, ...jobStats });
+  return jobStats;
+}
+
+/**
+ * Cria o filtro de qualidade de um job. O filtro guarda a última posição
+ * aceita de cada ativo (regra `impossibleSpeed`), então cada job (e cada
+ * reimportação) deve ter o seu.
+ * @param {string} jobName - Nome do job (ex: 'SitraxNorte')
+ * @param {Object} options - `config.quality` da instância (ver `normalizeQualityConfig`)
+ * @param {Object} [settings]
+ * @param {boolean} [settings.record] - false: não guarda as rejeitadas nem soma os contadores (simulação)
+ */
+export function createQualityFilter(jobName, options, { record = true } = {}) {
+  const checks = QUALITY_CHECKS.filter(([rule]) => options.rules.includes(rule));
+  const lastPositions = new Map();
+  const jumpStreaks = new Map();
+
+  return {
+    /**
+     * Separa as posições aceitas das rejeitadas, registrando as rejeitadas.
+     * @param {Array<Object>} positions - Posições no formato padrão (saída do `map`)
+     * @returns {{accepted: Array<Object>, rejected: number, byRule: Object<string, number>}}
+     */
+    filter(positions) {
+      if (!options.enabled || checks.length === 0 || positions.length === 0) {
+        return { accepted: positions, rejected: 0, byRule: {} };
+      }
+
+      const ctx = { now: new Date(), options, seen: new Set(), lastPositions, jumpStreaks };
+      const rejectedAt = ctx.now.toISOString();
+      const rejected = new Set();
+      const entries = [];
+      const byRule = {};
+
+      // Em ordem cronológica, para os saltos serem medidos entre posições consecutivas
+      for (const pos of [...positions].sort((a, b) => a.date - b.date)) {
+        let failure = null;
+        for (const [rule, check] of checks) {
+          const reason = check(pos, ctx);
+          if (reason) {
+            failure = { rule, reason };
+            break;
+          }
+        }
+
+        const key = unitKey(pos);
+        if (failure) {
+          rejected.add(pos);
+          byRule[failure.rule] = (byRule[failure.rule] || 0) + 1;
+          entries.push({ rejectedAt, job: jobName, ...failure, position: pos });
+          continue;
+        }
+
+        jumpStreaks.delete(key);
+        const last = lastPositions.get(key);
+        if (!last || pos.date >= last.date) {
+          lastPositions.set(key, { lat: Number(pos.lat), lon: Number(pos.lon), date: pos.date });
+        }
+      }
+
+      if (entries.length > 0) {
+        if (record) {
+          storeRejected(jobName, entries);
+          recordStats(jobName, byRule, rejectedAt);
+        }
+        const summary = Object.entries(byRule).map(([rule, count]) => `${rule}=${count}`).join(', ');
+        logger.warn(`[${jobName}] ${entries.length} posição(ões) rejeitada(s) pelas regras de qualidade: ${summary}.`);
+      }
+
+      return {
+        accepted: positions.filter(pos => !rejected.has(pos)),
+        rejected: entries.length,
+        byRule,
+      };
+    },
+  };
+}
+
+/**
+ * Contadores de rejeição por job e regra, desde o início do processo.
+ * @param {string} [jobName] - Um job específico
+ * @returns {Object} `{ total, byRule, lastRejectedAt }` do job, ou um objeto com todos os jobs
+ */
+export function getQualityStats(jobName) {
+  if (jobName) return stats.get(jobName) || { total: 0, byRule: {}, lastRejectedAt: null };
+  return Object.fromEntries(stats);
+}
+
+/**
+ * Lista as posições rejeitadas, das mais recentes para as mais antigas.
+ * @param {Object} [filters]
+ * @param {string} [filters.job] - Nome do job
+ * @param {string} [filters.rule] - Nome da regra (ver `QUALITY_RULE`)
+ * @param {number} [filters.limit] - Máximo de registros (padrão 500)
+ * @returns {Array<{rejectedAt: string, job: string, rule: string, reason: string, position: Object}>}
+ */
+export function listRejected({ job, rule, limit = 500 } = {}) {
+  const files = job
+    ? [fileFor(job)]
+    : fs.readdirSync(REJECTED_DIR).filter(f => f.endsWith('.jsonl')).map(f => path.join(REJECTED_DIR, f));
+
+  const entries = [];
+  for (const file of files) {
+    for (const line of readLines(file)) {
+      try {
+        const entry = JSON.parse(line);
+        if (!rule || entry.rule === rule) entries.push(entry);
+      } catch (e) {
+        // Linha parcial (queda durante a escrita). Ignora.
+      }
+    }
+  }
+
+  return entries
+    .sort((a, b) => b.rejectedAt.localeCompare(a.rejectedAt))
+    .slice(0, limit);
+}
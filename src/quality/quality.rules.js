@@ -0,0 +1,111 @@
+import { appConfig } from '../config/index.js';
+import { distanceMeters } from '../geofence/geofence.engine.js';
+
+/**
+ * Regras de qualidade aplicadas às posições já mapeadas (formato padrão),
+ * antes do outbox e do Sankhya. Cada regra devolve o motivo da rejeição ou
+ * null, e as regras são avaliadas na ordem abaixo (a primeira que rejeita vale).
+ */
+export const QUALITY_RULE = Object.freeze({
+  ZERO_COORDINATES: 'zeroCoordinates', // Posição em (0,0): GPS sem sinal
+  OUT_OF_RANGE: 'outOfRange',          // Latitude/longitude fora dos limites
+  FUTURE_DATE: 'futureDate',           // Data à frente do relógio do hub
+  DUPLICATE: 'duplicate',              // Mesmo ativo e mesma data repetidos no lote
+  IMPOSSIBLE_SPEED: 'impossibleSpeed', // Salto desde a posição anterior acima da velocidade máxima
+});
+
+const QUALITY_FIELDS = ['enabled', 'rules', 'maxSpeedKmh', 'maxFutureMinutes'];
+
+// Deslocamentos menores que isto são ruído do GPS, qualquer que seja o intervalo
+const MIN_JUMP_KM = 1;
+// Após tantos saltos seguidos, a posição de referência é que estava errada: aceita e reancora
+const JUMP_REANCHOR_STREAK = 3;
+
+/**
+ * Chave de um ativo (veículo ou isca) no lote.
+ */
+export const unitKey = (pos) => `${pos.type}|${String(pos.identifier).toUpperCase()}`;
+
+/**
+ * Verificações na ordem de avaliação. Cada uma recebe a posição e o contexto:
+ *  { now, options, seen (chaves ativo+data do lote), lastPositions, jumpStreaks (por ativo, entre lotes) }
+ */
+export const QUALITY_CHECKS = [
+  [QUALITY_RULE.ZERO_COORDINATES, (pos) => (
+    Math.abs(pos.lat) < 0.0001 && Math.abs(pos.lon) < 0.0001 ? 'Posição em (0,0).' : null
+  )],
+
+  [QUALITY_RULE.OUT_OF_RANGE, (pos) => (
+    Math.abs(pos.lat) > 90 || Math.abs(pos.lon) > 180 ? `Coordenadas fora dos limites (${pos.lat}, ${pos.lon}).` : null
+  )],
+
+  [QUALITY_RULE.FUTURE_DATE, (pos, ctx) => {
+    const aheadMinutes = (pos.date - ctx.now) / 60000;
+    return aheadMinutes > ctx.options.maxFutureMinutes
+      ? `Data ${Math.round(aheadMinutes)} min no futuro (limite ${ctx.options.maxFutureMinutes} min).`
+      : null;
+  }],
+
+  [QUALITY_RULE.DUPLICATE, (pos, ctx) => {
+    const key = `${unitKey(pos)}|${Math.floor(pos.date.getTime() / 1000)}`;
+    if (ctx.seen.has(key)) return 'Posição repetida no lote (mesmo ativo e data).';
+    ctx.seen.add(key);
+    return null;
+  }],
+
+  [QUALITY_RULE.IMPOSSIBLE_SPEED, (pos, ctx) => {
+    const key = unitKey(pos);
+    const last = ctx.lastPositions.get(key);
+    if (!last) return null;
+
+    const km = distanceMeters(last.lat, last.lon, Number(pos.lat), Number(pos.lon)) / 1000;
+    if (km < MIN_JUMP_KM) return null;
+    const hours = Math.max(Math.abs(pos.date - last.date), 1000) / 3600000;
+    const speed = km / hours;
+    if (speed <= ctx.options.maxSpeedKmh) return null;
+
+    const streak = (ctx.jumpStreaks.get(key) || 0) + 1;
+    if (streak >= JUMP_REANCHOR_STREAK) return null;
+    ctx.jumpStreaks.set(key, streak);
+    return `Salto de ${km.toFixed(1)} km em ${Math.round(hours * 60)} min (${Math.round(speed)} km/h, limite ${ctx.options.maxSpeedKmh} km/h).`;
+  }],
+];
+
+const RULE_NAMES = QUALITY_CHECKS.map(([name]) => name);
+
+/**
+ * Valida e normaliza o bloco `quality` de uma instância de conector:
+ *  { enabled?, rules?: [nomes], maxSpeedKmh?, maxFutureMinutes? }
+ * Os campos omitidos vêm de `appConfig` (QUALITY_*).
+ * @param {Object} [raw] - O bloco como escrito no arquivo de conectores
+ * @returns {{enabled: boolean, rules: Array<string>, maxSpeedKmh: number, maxFutureMinutes: number}}
+ * @throws {Error} Campos ou regras desconhecidos, limites inválidos
+ */
+export function normalizeQualityConfig(raw = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error("'quality' deve ser um objeto.");
+  }
+  const unknownFields = Object.keys(raw).filter(field => !QUALITY_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw new Error(`campos desconhecidos: ${unknownFields.join(', ')}.`);
+  }
+
+  const defaultRules = appConfig.qualityRules.split(',').map(rule => rule.trim()).filter(Boolean);
+  const rules = [].concat(raw.rules ?? (defaultRules.length > 0 ? defaultRules : RULE_NAMES)).map(String);
+  const unknownRules = rules.filter(rule => !RULE_NAMES.includes(rule));
+  if (unknownRules.length > 0) {
+    throw new Error(`regra(s) desconhecida(s): ${unknownRules.join(', ')} (disponíveis: ${RULE_NAMES.join(', ')}).`);
+  }
+
+  const maxSpeedKmh = Number(raw.maxSpeedKmh ?? appConfig.qualityMaxSpeedKmh);
+  if (!(maxSpeedKmh > 0)) throw new Error("'maxSpeedKmh' deve ser um número positivo.");
+  const maxFutureMinutes = Number(raw.maxFutureMinutes ?? appConfig.qualityMaxFutureMinutes);
+  if (!(maxFutureMinutes >= 0)) throw new Error("'maxFutureMinutes' deve ser um número maior ou igual a zero.");
+
+  return {
+    enabled: raw.enabled === undefined ? appConfig.qualityEnabled : String(raw.enabled) === 'true',
+    rules: RULE_NAMES.filter(rule => rules.includes(rule)),
+    maxSpeedKmh,
+    maxFutureMinutes,
+  };
+}
@@ -1,119 +1,39 @@
-import axios from 'axios';
-import { sankhyaConfig, appConfig } from '../config/index.js';
+import { createHash } from 'crypto';
+import { sankhyaConfig } from '../config/index.js';
 import { createLogger } from '../utils/logger.js';
-import { SankhyaTokenError } from '../utils/errors.js';
+import { SankhyaTokenError, SankhyaServiceError } from '../utils/errors.js';
 import { 
   formatForSankhyaInsert,
   parseSitraxDate,
   parseSankhyaQueryDate 
 } from '../utils/dateTime.js';
-import { TextDecoder } from 'util';
+import { getSession } from './sankhya.session.js';
 
 const logger = createLogger('SankhyaAPI');
 
-// --- Gerenciador da Instância do Axios ---
-let apiClient = createApiClient(sankhyaConfig.url);
-
-function createApiClient(baseUrl) {
-  return axios.create({
-    baseURL: baseUrl,
-    timeout: appConfig.timeout,
-    responseType: 'arraybuffer',
-    transformResponse: [data => {
-      try {
-        const decoder = new TextDecoder('iso-8859-1');
-        const decoded = decoder.decode(data);
-        return JSON.parse(decoded);
-      } catch (e) {
-        return data; // Retorna buffer se falhar
-      }
-    }],
-  });
-}
+// --- Sessões (uma por destino e URL, ver sankhya.session.js) ---
+// `endpoint` = { target, url }: destino Sankhya (sankhya.targets.js) e a URL em uso (principal/contingência)
 
-// --- Gerenciamento de Sessão ---
-let jsessionid = null;
-let loginPromise = null;
-
-async function performLogin(baseUrl) {
-  logger.info(`[Sankhya] Autenticando (iniciando nova sessão) em ${baseUrl}...`);
-  apiClient = createApiClient(baseUrl);
-  
-  try {
-    const loginBody = {
-      serviceName: 'MobileLoginSP.login',
-      requestBody: {
-        NOMUSU: { $: sankhyaConfig.username },
-        INTERNO: { $: sankhyaConfig.password },
-        KEEPCONNECTED: { $: 'S' },
-      },
-    };
-    
-    const response = await axios.post(
-      '/service.sbr?serviceName=MobileLoginSP.login&outputType=json',
-      loginBody,
-      {
-        baseURL: apiClient.defaults.baseURL,
-        timeout: apiClient.defaults.timeout,
-        responseType: 'json' 
-      }
-    );
-
-    const data = response.data;
-    if (data.status === '1' && data.responseBody?.jsessionid?.$) {
-      jsessionid = data.responseBody.jsessionid.$;
-      logger.info(`[Sankhya] Login bem-sucedido. JSessionID: ${jsessionid.substring(0, 10)}...`);
-    } else {
-      logger.error(`[Sankhya] Falha de autenticação: ${data.statusMessage}`, data);
-      throw new SankhyaTokenError(`Falha de autenticação no Sankhya: ${data.statusMessage}`);
-    }
-  } catch (error) {
-    if (error instanceof SankhyaTokenError) throw error;
-    logger.error(`[Sankhya] Erro crítico ao fazer login: ${error.message}`);
-    jsessionid = null;
-    throw new Error(`Falha no login da Sankhya: ${error.message}`);
-  } finally {
-    loginPromise = null;
-  }
-}
-
-async function login(baseUrl) {
-  if (jsessionid && !loginPromise) {
-    return;
-  }
-  if (loginPromise) {
-    logger.debug('[Sankhya] Aguardando login em andamento...');
-    return loginPromise;
-  }
-  loginPromise = performLogin(baseUrl);
-  return loginPromise;
-}
-
-async function makeRequest(serviceName, requestBody, baseUrl) {
-  if (!jsessionid) {
-      await login(baseUrl);
-  }
+async function makeRequest(serviceName, requestBody, endpoint) {
+  const session = getSession(endpoint.target, endpoint.url);
+  await session.login();
 
   const url = `/service.sbr?serviceName=${serviceName}&outputType=json`;
   const body = { serviceName, requestBody };
-  const headers = {
-    'Cookie': `JSESSIONID=${jsessionid}`,
-  };
 
   try {
-    const response = await apiClient.post(url, body, { headers });
+    const response = await session.client.post(url, body, { headers: session.headers });
     
     if (response.data.status === '1') {
       return response.data.responseBody;
     }
     
     if (response.data.status === '3' && response.data.statusMessage === 'Não autorizado.') {
-      logger.warn('[Sankhya] JSessionID expirado ou inválido (Não autorizado). Reautenticando...');
-      jsessionid = null;
-      await login(baseUrl); 
+      logger.warn(`[Sankhya:${endpoint.target.name}] JSessionID expirado ou inválido em ${session.baseUrl} (Não autorizado). Reautenticando...`);
+      session.invalidate();
+      await session.login();
       
-      const newHeaders = { Cookie: `JSESSIONID=${jsessionid}` };
-      const retryResponse = await apiClient.post(url, body, { headers: newHeaders });
+      const retryResponse = await session.client.post(url, body, { headers: session.headers });
 
       if (retryResponse.data.status === '1') {
         return retryResponse.data.responseBody;
@@ -121,17 +41,20 @@ async function makeRequest(serviceName, requestBody, baseUrl) {
       throw new Error(`Falha na requisição Sankhya (${serviceName}) após re-autenticar: ${retryResponse.data.statusMessage}`);
     }
     
-    throw new Error(`Erro na requisição Sankhya (${serviceName}): ${response.data.statusMessage || 'Erro desconhecido'}`);
+    throw new SankhyaServiceError(
+      `Erro na requisição Sankhya (${serviceName}): ${response.data.statusMessage || 'Erro desconhecido'}`,
+      response.data.statusMessage
+    );
 
   } catch (error) {
     if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.response?.status === 504) {
-      logger.error('[Sankhya] Timeout na requisição.');
+      logger.error(`[Sankhya:${endpoint.target.name}] Timeout na requisição.`);
       throw new Error(`Timeout da API Sankhya: ${serviceName}`);
     }
-    logger.error(`[Sankhya] Falha na chamada de serviço (${serviceName}): ${error.message}`);
+    logger.error(`[Sankhya:${endpoint.target.name}] Falha na chamada de serviço (${serviceName}): ${error.message}`);
     if (error instanceof SankhyaTokenError) throw error;
     if (error.message.includes('connect') || error.message.includes('Timeout')) {
-        jsessionid = null;
+        session.invalidate();
     }
     throw error;
   }
@@ -150,56 +73,291 @@ function formatQueryResponse(responseBody) {
   });
 }
 
+// --- Camada de Consulta Segura ---
+
+/**
+ * Converte um valor em literal SQL seguro.
+ * Strings têm aspas simples duplicadas e caracteres de controle removidos;
+ * números precisam ser finitos. Qualquer outro tipo é rejeitado.
+ */
+export function escapeSqlValue(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Valor numérico inválido para consulta SQL: ${value}`);
+    }
+    return String(value);
+  }
+  if (typeof value === 'string') {
+    const clean = value.replace(/[\x00-\x1f\x7f]/g, '').trim();
+    return `'${clean.replace(/'/g, "''")}'`;
+  }
+  throw new Error(`Tipo não suportado para consulta SQL: ${typeof value}`);
+}
+
+/**
+ * Substitui os placeholders `:nome` da SQL pelos valores escapados.
+ * Arrays viram listas separadas por vírgula (para uso em `IN (...)`).
+ */
+export function bindSql(sql, params = {}) {
+  return sql.replace(/:(\w+)/g, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(params, name)) return match;
+    const value = params[name];
+    if (Array.isArray(value)) {
+      if (value.length === 0) throw new Error(`Lista vazia para o parâmetro :${name}.`);
+      return value.map(escapeSqlValue).join(',');
+    }
+    return escapeSqlValue(value);
+  });
+}
+
+/**
+ * Executa uma consulta no DbExplorerSP com os parâmetros escapados.
+ * @param {string} sql - SQL com placeholders `:nome`
+ * @param {Object} params - Valores dos placeholders
+ * @param {{target: Object, url: string}} endpoint - Destino Sankhya e a URL em uso
+ * @returns {Promise<Array<Object>>} As linhas como objetos
+ */
+export async function executeQuery(sql, params, endpoint) {
+  const boundSql = bindSql(sql, params);
+  const responseBody = await makeRequest('DbExplorerSP.executeQuery', { sql: boundSql, params: {} }, endpoint);
+  return formatQueryResponse(responseBody);
+}
+
+/**
+ * Executa uma consulta com `IN (:lista)` dividindo a lista em blocos
+ * de `sankhyaConfig.queryChunkSize` valores e junta os resultados.
+ * @param {string} sql - SQL com placeholders `:nome`
+ * @param {Object} params - Valores dos placeholders
+ * @param {string} listParam - Nome do parâmetro que contém a lista
+ * @param {{target: Object, url: string}} endpoint - Destino Sankhya e a URL em uso
+ * @returns {Promise<Array<Object>>} As linhas de todos os blocos
+ */
+export async function executeQueryInChunks(sql, params, listParam, endpoint) {
+  const values = [...new Set(params[listParam])];
+  const chunkSize = sankhyaConfig.queryChunkSize;
+  const results = [];
+
+  for (let i = 0; i < values.length; i += chunkSize) {
+    const chunk = values.slice(i, i + chunkSize);
+    const rows = await executeQuery(sql, { ...params, [listParam]: chunk }, endpoint);
+    results.push(...rows);
+  }
+  return results;
+}
+
 // --- Funções de Consulta ---
 
-export async function getVehiclesByPlate(plates, baseUrl) {
+// Converte explicitamente um parâmetro 'dd/MM/yyyy HH:mm:ss' (o formato das inserções) em data,
+// sem depender do NLS_DATE_FORMAT (Oracle) ou do DATEFORMAT (SQL Server) da sessão
+const SQL_TO_DATE = {
+  oracle: (param) => `TO_DATE(${param}, 'DD/MM/YYYY HH24:MI:SS')`,
+  mssql: (param) => `CONVERT(DATETIME, ${param}, 103)`,
+};
+const sqlDate = (endpoint, param) => SQL_TO_DATE[endpoint.target.dbDialect](param);
+
+export async function getVehiclesByPlate(plates, endpoint) {
   if (!plates || plates.length === 0) return [];
-  logger.info(`[Sankhya] Consultando CODVEICULO para ${plates.length} placas...`);
+  logger.info(`[Sankhya:${endpoint.target.name}] Consultando CODVEICULO para ${plates.length} placas...`);
   
-  const inClause = plates.map((p) => `'${p.trim()}'`).join(',');
-  const sql = `SELECT VEI.CODVEICULO, VEI.PLACA FROM TGFVEI VEI WHERE VEI.PLACA IN (${inClause})`;
-
-  const responseBody = await makeRequest('DbExplorerSP.executeQuery', { sql, params: {} }, baseUrl);
-  return formatQueryResponse(responseBody);
+  const sql = `SELECT VEI.CODVEICULO, VEI.PLACA FROM ${endpoint.target.tables.vehicles} VEI WHERE VEI.PLACA IN (:plates)`;
+  return executeQueryInChunks(sql, { plates: plates.map(String) }, 'plates', endpoint);
 }
 
-export async function getIscasByNum(iscaNumbers, fabricanteId, baseUrl) {
+export async function getIscasByNum(iscaNumbers, fabricanteId, endpoint) {
   if (!iscaNumbers || iscaNumbers.length === 0) return [];
-  logger.info(`[Sankhya] Consultando SEQUENCIA para ${iscaNumbers.length} iscas (Fabr: ${fabricanteId})...`);
-
-  const inClause = iscaNumbers.map((n) => `'${n.trim()}'`).join(',');
-  const sql = `SELECT SEQUENCIA, NUMISCA FROM AD_CADISCA SCA WHERE SCA.NUMISCA IN (${inClause}) AND SCA.FABRICANTE = ${fabricanteId} AND SCA.ATIVO = 'S'`;
+  logger.info(`[Sankhya:${endpoint.target.name}] Consultando SEQUENCIA para ${iscaNumbers.length} iscas (Fabr: ${fabricanteId})...`);
 
-  const responseBody = await makeRequest('DbExplorerSP.executeQuery', { sql, params: {} }, baseUrl);
-  return formatQueryResponse(responseBody);
+  const sql = `SELECT SEQUENCIA, NUMISCA FROM ${endpoint.target.tables.iscas} SCA WHERE SCA.NUMISCA IN (:iscaNumbers) AND SCA.FABRICANTE = :fabricanteId AND SCA.ATIVO = 'S'`;
+  return executeQueryInChunks(
+    sql,
+    { iscaNumbers: iscaNumbers.map(String), fabricanteId: Number(fabricanteId) },
+    'iscaNumbers',
+    endpoint
+  );
 }
 
-export async function getLastVehicleHistory(baseUrl) {
-  logger.debug('[Sankhya] Consultando último histórico de veículos (AD_LOCATCAR)...');
-  const sql = "WITH UltimoRegistro AS (SELECT CODVEICULO, DATHOR, PLACA, ROW_NUMBER() OVER (PARTITION BY CODVEICULO ORDER BY NUMREG DESC) AS RN FROM AD_LOCATCAR) SELECT CODVEICULO, DATHOR, PLACA FROM UltimoRegistro WHERE RN = 1";
+// O "último" registro é o de maior DATHOR (e não o último inserido): a reimportação
+// (job.backfill.js) grava posições antigas depois das atuais.
+export async function getLastVehicleHistory(endpoint) {
+  const table = endpoint.target.tables.vehicleHistory;
+  logger.debug(`[Sankhya:${endpoint.target.name}] Consultando último histórico de veículos (${table})...`);
+  const sql = `WITH UltimoRegistro AS (SELECT CODVEICULO, DATHOR, PLACA, ROW_NUMBER() OVER (PARTITION BY CODVEICULO ORDER BY DATHOR DESC, NUMREG DESC) AS RN FROM ${table}) SELECT CODVEICULO, DATHOR, PLACA FROM UltimoRegistro WHERE RN = 1`;
   
-  const responseBody = await makeRequest('DbExplorerSP.executeQuery', { sql, params: {} }, baseUrl);
-  return formatQueryResponse(responseBody);
+  return executeQuery(sql, {}, endpoint);
 }
 
-export async function getLastIscaHistory(baseUrl) {
-  logger.debug('[Sankhya] Consultando último histórico de iscas (AD_LOCATISC)...');
-  const sql = "WITH UltimoRegistro AS (SELECT SEQUENCIA, DATHOR, ISCA, ROW_NUMBER() OVER (PARTITION BY SEQUENCIA ORDER BY NUMREG DESC) AS RN FROM AD_LOCATISC) SELECT SEQUENCIA, DATHOR, ISCA FROM UltimoRegistro WHERE RN = 1";
+export async function getLastIscaHistory(endpoint) {
+  const table = endpoint.target.tables.iscaHistory;
+  logger.debug(`[Sankhya:${endpoint.target.name}] Consultando último histórico de iscas (${table})...`);
+  const sql = `WITH UltimoRegistro AS (SELECT SEQUENCIA, DATHOR, ISCA, ROW_NUMBER() OVER (PARTITION BY SEQUENCIA ORDER BY DATHOR DESC, NUMREG DESC) AS RN FROM ${table}) SELECT SEQUENCIA, DATHOR, ISCA FROM UltimoRegistro WHERE RN = 1`;
   
-  const responseBody = await makeRequest('DbExplorerSP.executeQuery', { sql, params: {} }, baseUrl);
-  return formatQueryResponse(responseBody);
+  return executeQuery(sql, {}, endpoint);
+}
+
+/**
+ * Datas (DATHOR) já gravadas no histórico de veículos dentro de um intervalo.
+ * Usado na deduplicação da reimportação (backfill). As datas vão no mesmo
+ * formato aceito pelo DatasetSP.save (dd/MM/yyyy HH:mm:ss), convertidas na SQL.
+ * @param {Array<number>} codes - CODVEICULO dos veículos
+ * @param {Date} from - Início do intervalo
+ * @param {Date} to - Fim do intervalo
+ * @param {{target: Object, url: string}} endpoint - Destino Sankhya e a URL em uso
+ * @returns {Promise<Array<{CODVEICULO: number, DATHOR: string}>>}
+ */
+export async function getVehicleHistoryInRange(codes, from, to, endpoint) {
+  if (!codes || codes.length === 0) return [];
+  const table = endpoint.target.tables.vehicleHistory;
+  logger.debug(`[Sankhya:${endpoint.target.name}] Consultando histórico de ${codes.length} veículos no intervalo (${table})...`);
+  const sql = `SELECT CODVEICULO, DATHOR FROM ${table} WHERE CODVEICULO IN (:codes) AND DATHOR BETWEEN ${sqlDate(endpoint, ':from')} AND ${sqlDate(endpoint, ':to')}`;
+  return executeQueryInChunks(
+    sql,
+    { codes, from: formatForSankhyaInsert(from), to: formatForSankhyaInsert(to) },
+    'codes',
+    endpoint
+  );
+}
+
+/**
+ * Datas (DATHOR) já gravadas no histórico de iscas dentro de um intervalo.
+ * @param {Array<number>} sequencias - SEQUENCIA das iscas
+ * @param {Date} from - Início do intervalo
+ * @param {Date} to - Fim do intervalo
+ * @param {{target: Object, url: string}} endpoint - Destino Sankhya e a URL em uso
+ * @returns {Promise<Array<{SEQUENCIA: number, DATHOR: string}>>}
+ */
+export async function getIscaHistoryInRange(sequencias, from, to, endpoint) {
+  if (!sequencias || sequencias.length === 0) return [];
+  const table = endpoint.target.tables.iscaHistory;
+  logger.debug(`[Sankhya:${endpoint.target.name}] Consultando histórico de ${sequencias.length} iscas no intervalo (${table})...`);
+  const sql = `SELECT SEQUENCIA, DATHOR FROM ${table} WHERE SEQUENCIA IN (:sequencias) AND DATHOR BETWEEN ${sqlDate(endpoint, ':from')} AND ${sqlDate(endpoint, ':to')}`;
+  return executeQueryInChunks(
+    sql,
+    { sequencias, from: formatForSankhyaInsert(from), to: formatForSankhyaInsert(to) },
+    'sequencias',
+    endpoint
+  );
 }
 
 // --- Funções de Inserção ---
 
-export async function insertVehicleHistory(records, baseUrl) {
+/**
+ * Retorna o motivo pelo qual um registro não pode ser enviado ao Sankhya,
+ * ou null se ele for válido.
+ */
+export function validateInsertRecord(r) {
+  if (!formatForSankhyaInsert(r.date)) return 'Data inválida (DATHOR).';
+  if (!Number.isFinite(Number(r.lat)) || !Number.isFinite(Number(r.lon))) return 'Coordenadas inválidas.';
+  if (r.speed === null || r.speed === undefined || !Number.isFinite(Number(r.speed))) return 'Velocidade inválida.';
+  return null;
+}
+
+// Bloco (destino, tabela e registros) -> rejeições seguidas do bloco inteiro com o mesmo erro
+const chunkFailures = new Map();
+const MAX_TRACKED_CHUNKS = 1000;
+
+function chunkKey(requestBody, items, endpoint) {
+  const records = JSON.stringify(items.map(item => item.formatted));
+  return createHash('sha1').update(`${endpoint.target.name}|${requestBody.entityName}|${records}`).digest('hex');
+}
+
+/**
+ * Envia um bloco ao DatasetSP.save. Se o Sankhya rejeitar o bloco, ele é
+ * dividido ao meio recursivamente até isolar os registros com problema,
+ * que vão para `quarantined`. Erros de rede/sessão são propagados, assim como
+ * a rejeição do bloco inteiro (de qualquer tamanho) quando todos os registros
+ * falham com a mesma mensagem (falha comum a todos, ex: tabela, trigger ou
+ * permissão): o lote continua no outbox para a próxima tentativa. Depois de
+ * `sankhyaConfig.saveFailureLimit` rejeições seguidas do mesmo bloco, os
+ * registros vão para a quarentena, para o outbox não ficar parado.
+ * @returns {Promise<number>} Quantidade de registros inseridos
+ */
+async function saveWithIsolation(requestBody, items, endpoint, quarantined, isRoot = true) {
+  let responseBody;
+  try {
+    responseBody = await makeRequest(
+      'DatasetSP.save',
+      { ...requestBody, records: items.map(item => item.formatted) },
+      endpoint
+    );
+  } catch (error) {
+    if (!(error instanceof SankhyaServiceError)) throw error;
+
+    const isolatedFrom = quarantined.length;
+    let saved = 0;
+    if (items.length === 1) {
+      quarantined.push({ record: items[0].record, reason: error.statusMessage || error.message });
+    } else {
+      logger.warn(`[Sankhya:${endpoint.target.name}] Bloco de ${items.length} registros rejeitado em ${requestBody.entityName}. Isolando registros com falha...`);
+      const middle = Math.ceil(items.length / 2);
+      saved += await saveWithIsolation(requestBody, items.slice(0, middle), endpoint, quarantined, false);
+      saved += await saveWithIsolation(requestBody, items.slice(middle), endpoint, quarantined, false);
+    }
+
+    const isolated = quarantined.slice(isolatedFrom);
+    if (isRoot && saved === 0 && isolated.every(entry => entry.reason === isolated[0].reason)) {
+      const key = chunkKey(requestBody, items, endpoint);
+      const failures = (chunkFailures.get(key) || 0) + 1;
+      chunkFailures.delete(key);
+      if (failures < sankhyaConfig.saveFailureLimit) {
+        chunkFailures.set(key, failures);
+        if (chunkFailures.size > MAX_TRACKED_CHUNKS) chunkFailures.delete(chunkFailures.keys().next().value);
+        quarantined.splice(isolatedFrom);
+        logger.error(`[Sankhya:${endpoint.target.name}] Todos os ${items.length} registro(s) rejeitados em ${requestBody.entityName} com o mesmo erro (${failures}/${sankhyaConfig.saveFailureLimit}). O bloco volta ao outbox.`);
+        throw error;
+      }
+      logger.error(`[Sankhya:${endpoint.target.name}] Bloco de ${items.length} registro(s) rejeitado ${failures} vezes seguidas em ${requestBody.entityName} com o mesmo erro. Registros enviados para a quarentena.`);
+    }
+    return saved;
+  }
+
+  if (isRoot && chunkFailures.size > 0) chunkFailures.delete(chunkKey(requestBody, items, endpoint));
+
+  // O DatasetSP.save devolve um item em 'result' para cada registro gravado. Sem
+  // saber quais ficaram de fora, o bloco falha e o lote volta pelo outbox; a nova
+  // tentativa é comparada de novo com o histórico já gravado no Sankhya.
+  const saved = Array.isArray(responseBody?.result) ? responseBody.result.length : items.length;
+  if (saved !== items.length) {
+    throw new Error(`Sankhya ${endpoint.target.name}: ${requestBody.entityName} confirmou ${saved} de ${items.length} registros enviados.`);
+  }
+  return saved;
+}
+
+/**
+ * Valida, divide em blocos de `sankhyaConfig.insertChunkSize` e grava os registros.
+ * @returns {Promise<{inserted: number, quarantined: Array<{record: Object, reason: string}>}>}
+ */
+async function saveInChunks(requestBody, records, formatRecord, endpoint, validate = validateInsertRecord) {
+  const quarantined = [];
+  const items = [];
+
+  for (const record of records) {
+    const reason = validate(record);
+    if (reason) {
+      quarantined.push({ record, reason });
+    } else {
+      items.push({ record, formatted: formatRecord(record) });
+    }
+  }
+
+  let inserted = 0;
+  const chunkSize = sankhyaConfig.insertChunkSize;
+  for (let i = 0; i < items.length; i += chunkSize) {
+    inserted += await saveWithIsolation(requestBody, items.slice(i, i + chunkSize), endpoint, quarantined);
+  }
+
+  return { inserted, quarantined };
+}
+
+export async function insertVehicleHistory(records, endpoint) {
+  const { name, tables, vehicleDatasetId } = endpoint.target;
+  const entityName = tables.vehicleHistory;
   if (records.length === 0) {
-    logger.debug('[Sankhya] Nenhum registro novo para AD_LOCATCAR.');
-    return;
+    logger.debug(`[Sankhya:${name}] Nenhum registro novo para ${entityName}.`);
+    return { entityName, inserted: 0, quarantined: [] };
   }
-  logger.info(`[Sankhya] Inserindo ${records.length} novos registros em AD_LOCATCAR...`);
+  logger.info(`[Sankhya:${name}] Inserindo ${records.length} novos registros em ${entityName}...`);
 
-  const formattedRecords = records.map(r => {
+  const formatRecord = r => {
     const dathorStr = formatForSankhyaInsert(r.date);
     // ***** ESTA É A CORREÇÃO (LINK) *****
     const link = `http://googleusercontent.com/maps/google.com/3${r.lat},${r.lon}`;
@@ -219,34 +377,33 @@ export async function insertVehicleHistory(records, baseUrl) {
         "9": r.ignition,
       },
     };
-  });
+  };
 
-  const payload = {
-    serviceName: 'DatasetSP.save',
-    requestBody: {
-      dataSetID: '01S',
-      entityName: 'AD_LOCATCAR',
-      standAlone: false,
-      fields: [
-        'NUMREG', 'CODVEICULO', 'LOCAL', 'DATHOR', 'PLACA',
-        'LATITUDE', 'LONGITUDE', 'VELOC', 'LINK', 'IGNIT'
-      ],
-      records: formattedRecords,
-    },
+  const requestBody = {
+    dataSetID: vehicleDatasetId,
+    entityName,
+    standAlone: false,
+    fields: [
+      'NUMREG', 'CODVEICULO', 'LOCAL', 'DATHOR', 'PLACA',
+      'LATITUDE', 'LONGITUDE', 'VELOC', 'LINK', 'IGNIT'
+    ],
   };
 
-  await makeRequest('DatasetSP.save', payload.requestBody, baseUrl);
-  logger.info(`[Sankhya] Inserção em AD_LOCATCAR concluída.`);
+  const result = await saveInChunks(requestBody, records, formatRecord, endpoint);
+  logger.info(`[Sankhya:${name}] Inserção em ${entityName} concluída: ${result.inserted} inseridos, ${result.quarantined.length} em quarentena.`);
+  return { entityName, ...result };
 }
 
-export async function insertIscaHistory(records, baseUrl) {
+export async function insertIscaHistory(records, endpoint) {
+  const { name, tables, iscaDatasetId } = endpoint.target;
+  const entityName = tables.iscaHistory;
   if (records.length === 0) {
-    logger.debug('[Sankhya] Nenhum registro novo para AD_LOCATISC.');
-    return;
+    logger.debug(`[Sankhya:${name}] Nenhum registro novo para ${entityName}.`);
+    return { entityName, inserted: 0, quarantined: [] };
   }
-  logger.info(`[Sankhya] Inserindo ${records.length} novos registros em AD_LOCATISC...`);
+  logger.info(`[Sankhya:${name}] Inserindo ${records.length} novos registros em ${entityName}...`);
 
-  const formattedRecords = records.map(r => {
+  const formatRecord = r => {
     const dathorStr = formatForSankhyaInsert(r.date);
     // ***** ESTA É A CORREÇÃO (LINK) *****
     const link = `http://googleusercontent.com/maps/google.com/3${r.lat},${r.lon}`;
@@ -265,22 +422,62 @@ export async function insertIscaHistory(records, baseUrl) {
         "8": link,
       },
     };
-  });
+  };
   
-  const payload = {
-    serviceName: 'DatasetSP.save',
-    requestBody: {
-      dataSetID: sankhyaConfig.iscaDatasetId,
-      entityName: 'AD_LOCATISC',
-      standAlone: false,
-      fields: [
-        'NUMREG', 'SEQUENCIA', 'LOCAL', 'DATHOR', 'ISCA',
-        'LATITUDE', 'LONGITUDE', 'VELOC', 'LINK'
-      ],
-      records: formattedRecords,
-    },
+  const requestBody = {
+    dataSetID: iscaDatasetId,
+    entityName,
+    standAlone: false,
+    fields: [
+      'NUMREG', 'SEQUENCIA', 'LOCAL', 'DATHOR', 'ISCA',
+      'LATITUDE', 'LONGITUDE', 'VELOC', 'LINK'
+    ],
   };
   
-  await makeRequest('DatasetSP.save', payload.requestBody, baseUrl);
-  logger.info(`[Sankhya] Inserção em AD_LOCATISC concluída.`);
-}
\ No newline at end of file
+  const result = await saveInChunks(requestBody, records, formatRecord, endpoint);
+  logger.info(`[Sankhya:${name}] Inserção em ${entityName} concluída: ${result.inserted} inseridos, ${result.quarantined.length} em quarentena.`);
+  return { entityName, ...result };
+}
+
+/**
+ * Grava eventos de cerca (entrada/saída/permanência) na tabela configurada.
+ * Colunas esperadas: NUMREG, TIPO (E/S/P), CODCERCA, NOMECERCA, TIPOATIVO (V/I),
+ * IDENTIFICADOR, DATHOR, LATITUDE, LONGITUDE, PERMANENCIA (minutos).
+ */
+export async function insertGeofenceEvents(events, endpoint) {
+  const { name, geofence: { entityName, datasetId } } = endpoint.target;
+  if (events.length === 0) {
+    return { entityName, inserted: 0, quarantined: [] };
+  }
+  logger.info(`[Sankhya:${name}] Inserindo ${events.length} eventos de cerca em ${entityName}...`);
+
+  const eventCodes = { entry: 'E', exit: 'S', dwell: 'P' };
+  const formatRecord = e => ({
+    values: {
+      "1": eventCodes[e.eventType],
+      "2": e.fenceId,
+      "3": e.fenceName,
+      "4": e.type === 'isca' ? 'I' : 'V',
+      "5": e.identifier,
+      "6": formatForSankhyaInsert(e.date),
+      "7": e.lat.toString(),
+      "8": e.lon.toString(),
+      "9": e.dwellMinutes === null ? '' : e.dwellMinutes.toString(),
+    },
+  });
+  const validate = e => (formatForSankhyaInsert(e.date) ? null : 'Data inválida (DATHOR).');
+
+  const requestBody = {
+    dataSetID: datasetId,
+    entityName,
+    standAlone: false,
+    fields: [
+      'NUMREG', 'TIPO', 'CODCERCA', 'NOMECERCA', 'TIPOATIVO',
+      'IDENTIFICADOR', 'DATHOR', 'LATITUDE', 'LONGITUDE', 'PERMANENCIA'
+    ],
+  };
+
+  const result = await saveInChunks(requestBody, events, formatRecord, endpoint, validate);
+  logger.info(`[Sankhya:${name}] Inserção em ${entityName} concluída: ${result.inserted} inseridos, ${result.quarantined.length} em quarentena.`);
+  return { entityName, ...result };
+}
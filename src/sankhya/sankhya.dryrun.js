@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import statusManager from '../utils/statusManager.js';
+
+const logger = createLogger('SankhyaDryRun');
+
+/**
+ * Relatórios do modo simulação (dry-run): um por ciclo e destino Sankhya,
+ * com o que seria gravado, o que não tem cadastro e o que está desatualizado.
+ * Cada relatório fica em `<dataDir>/dryrun/<id>.json`; apenas os
+ * `dryRunMaxReports` mais recentes são mantidos.
+ */
+const REPORT_DIR = path.resolve(appConfig.dataDir, 'dryrun');
+fs.mkdirSync(REPORT_DIR, { recursive: true });
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+const CSV_COLUMNS = ['action', 'type', 'identifier', 'code', 'date', 'lastDathor', 'lat', 'lon', 'speed', 'ignition', 'location', 'problem'];
+
+// Resumos (sem as linhas), do mais antigo para o mais recente
+let reports = [];
+
+const fileFor = (id) => path.join(REPORT_DIR, `${id}.json`);
+
+function summarize({ rows, ...report }) {
+  return report;
+}
+
+function load() {
+  for (const file of fs.readdirSync(REPORT_DIR).filter(f => f.endsWith('.json'))) {
+    try {
+      reports.push(summarize(JSON.parse(fs.readFileSync(path.join(REPORT_DIR, file), 'utf8'))));
+    } catch (e) {
+      logger.warn(`Relatório de simulação ilegível ignorado: ${file}.`);
+    }
+  }
+  reports.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  prune();
+}
+
+function prune() {
+  while (reports.length > appConfig.dryRunMaxReports) {
+    const { id } = reports.shift();
+    fs.rmSync(fileFor(id), { force: true });
+  }
+}
+
+load();
+
+/**
+ * Grava o relatório da simulação de um ciclo em um destino.
+ * @param {Object} params
+ * @param {string} params.job - Nome do job (ex: 'Atualcargo')
+ * @param {string} params.runId - Id da execução (ver `runHistory.startRun`)
+ * @param {string} params.target - Destino Sankhya
+ * @param {string} params.url - URL consultada
+ * @param {Object} params.summary - Retorno de `processPositions` com `dryRun`
+ * @returns {Object} O resumo do relatório (sem as linhas)
+ */
+export function saveDryRunReport({ job, runId, target, url, summary }) {
+  const { plan, ...counts } = summary;
+  const report = {
+    id: randomUUID(),
+    job,
+    runId,
+    target,
+    url,
+    createdAt: new Date().toISOString(),
+    counts: {
+      ...counts,
+      invalid: plan.filter(row => row.action === 'insert' && row.problem).length,
+    },
+    rows: plan,
+  };
+
+  try {
+    fs.writeFileSync(fileFor(report.id), JSON.stringify(report));
+  } catch (e) {
+    logger.error(`[${job}] Falha ao gravar o relatório de simulação: ${e.message}`);
+  }
+  const entry = summarize(report);
+  reports.push(entry);
+  prune();
+  statusManager.emit('dryrun-report', entry);
+  return entry;
+}
+
+/**
+ * Lista os relatórios de simulação (mais recentes primeiro, sem as linhas).
+ * @param {Object} [filters]
+ * @param {string} [filters.job] - Nome do job
+ * @param {number} [filters.limit] - Máximo de relatórios (padrão 50)
+ */
+export function listDryRunReports({ job, limit = 50 } = {}) {
+  return reports
+    .filter(report => !job || report.job.toLowerCase() === job.toLowerCase())
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Lê um relatório completo (com as linhas).
+ * @param {string} id - Id do relatório
+ * @returns {Object | null}
+ */
+export function getDryRunReport(id) {
+  if (!ID_PATTERN.test(id) || !fs.existsSync(fileFor(id))) return null;
+  return JSON.parse(fs.readFileSync(fileFor(id), 'utf8'));
+}
+
+/**
+ * Converte as linhas de um relatório em CSV (separador ';', padrão do Excel em pt-BR).
+ * @param {Object} report - Relatório completo
+ * @returns {string}
+ */
+export function dryRunReportToCsv(report) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[;"\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [
+    CSV_COLUMNS.join(';'),
+    ...report.rows.map(row => CSV_COLUMNS.map(column => escape(row[column])).join(';')),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
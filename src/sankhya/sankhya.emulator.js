@@ -0,0 +1,467 @@
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import { randomUUID } from 'crypto';
+import express from 'express';
+import initSqlJs from 'sql.js';
+import { appConfig, sankhyaConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { readConfigFile } from '../utils/configFile.js';
+import { SIMULATED_FABRICANTE_ID, simulatedPlate, simulatedIscaNumber } from '../utils/simulatedFleet.js';
+
+const logger = createLogger('SankhyaEmulator');
+
+/**
+ * Emulador do Sankhya para desenvolvimento e demonstrações, sem credenciais do ERP.
+ *
+ * Um destino com `url: emulator` (ou SANKHYA_URL=emulator) passa a usar um
+ * servidor HTTP local (porta `emulatorPort`) que atende o `service.sbr` com os
+ * três serviços usados pelo hub — MobileLoginSP.login, DbExplorerSP.executeQuery
+ * e DatasetSP.save — sobre um banco SQLite (sql.js) gravado em
+ * `<dataDir>/sankhya-emulator.sqlite`. Como no ERP:
+ *  - as respostas vão em ISO-8859-1;
+ *  - as datas são gravadas como 'dd/MM/yyyy HH:mm:ss' e consultadas como 'ddMMyyyy HH:mm:ss';
+ *  - a sessão expira após `emulatorSessionTtlMs` (status 3 / 'Não autorizado.');
+ *  - um bloco do DatasetSP.save é gravado por inteiro ou rejeitado por inteiro.
+ * O emulador não valida as credenciais, apenas exige que sejam informadas.
+ */
+export const EMULATOR_URL = 'emulator';
+
+const DB_FILE = path.resolve(appConfig.dataDir, 'sankhya-emulator.sqlite');
+const PERSIST_DELAY_MS = 1000;
+
+const SCHEMA = `
+  CREATE TABLE TGFVEI (
+    CODVEICULO INTEGER PRIMARY KEY,
+    PLACA TEXT NOT NULL UNIQUE,
+    MARCAMODELO TEXT,
+    ATIVO TEXT NOT NULL DEFAULT 'S'
+  );
+  CREATE TABLE AD_CADISCA (
+    SEQUENCIA INTEGER PRIMARY KEY,
+    NUMISCA TEXT NOT NULL,
+    FABRICANTE INTEGER NOT NULL,
+    DESCRICAO TEXT,
+    ATIVO TEXT NOT NULL DEFAULT 'S'
+  );
+  CREATE TABLE AD_LOCATCAR (
+    NUMREG INTEGER PRIMARY KEY AUTOINCREMENT,
+    CODVEICULO INTEGER NOT NULL REFERENCES TGFVEI (CODVEICULO),
+    LOCAL TEXT,
+    DATHOR TEXT NOT NULL,
+    PLACA TEXT,
+    LATITUDE TEXT,
+    LONGITUDE TEXT,
+    VELOC NUMERIC,
+    LINK TEXT,
+    IGNIT TEXT
+  );
+  CREATE INDEX AD_LOCATCAR_DATHOR ON AD_LOCATCAR (CODVEICULO, DATHOR);
+  CREATE TABLE AD_LOCATISC (
+    NUMREG INTEGER PRIMARY KEY AUTOINCREMENT,
+    SEQUENCIA INTEGER NOT NULL REFERENCES AD_CADISCA (SEQUENCIA),
+    LOCAL TEXT,
+    DATHOR TEXT NOT NULL,
+    ISCA TEXT,
+    LATITUDE TEXT,
+    LONGITUDE TEXT,
+    VELOC NUMERIC,
+    LINK TEXT
+  );
+  CREATE INDEX AD_LOCATISC_DATHOR ON AD_LOCATISC (SEQUENCIA, DATHOR);
+  CREATE TABLE AD_EVTCERCA (
+    NUMREG INTEGER PRIMARY KEY AUTOINCREMENT,
+    TIPO TEXT NOT NULL,
+    CODCERCA TEXT,
+    NOMECERCA TEXT,
+    TIPOATIVO TEXT,
+    IDENTIFICADOR TEXT,
+    DATHOR TEXT NOT NULL,
+    LATITUDE TEXT,
+    LONGITUDE TEXT,
+    PERMANENCIA NUMERIC
+  );
+`;
+
+// Cadastro inicial (substituível por SANKHYA_EMULATOR_SEED_FILE, em JSON ou YAML):
+//  { vehicles: [{ codveiculo, placa, marcaModelo?, ativo? }],
+//    iscas: [{ sequencia, numisca, fabricante, descricao?, ativo? }],
+//    simulatedFleet?: { vehicles, iscas } }
+// `simulatedFleet` cadastra os N primeiros veículos e iscas do conector de simulação.
+// O padrão traz alguns ativos para os conectores reais e menos unidades que a frota
+// padrão do simulador, para que o painel também mostre posições sem cadastro.
+const DEFAULT_SEED = {
+  vehicles: [
+    { codveiculo: 1, placa: 'EMU1A01', marcaModelo: 'VOLVO FH 540' },
+    { codveiculo: 2, placa: 'EMU1A02', marcaModelo: 'SCANIA R 450' },
+    { codveiculo: 3, placa: 'EMU1A03', marcaModelo: 'MERCEDES ACTROS 2651' },
+    { codveiculo: 4, placa: 'EMU1A04', marcaModelo: 'VW CONSTELLATION 24.280' },
+    { codveiculo: 5, placa: 'EMU1A05', marcaModelo: 'IVECO S-WAY 480' },
+  ],
+  iscas: [
+    { sequencia: 1, numisca: '900001', fabricante: 2, descricao: 'Isca Atualcargo 1' },
+    { sequencia: 2, numisca: '900002', fabricante: 2, descricao: 'Isca Atualcargo 2' },
+    { sequencia: 3, numisca: '800001', fabricante: 3, descricao: 'Isca Sitrax 1' },
+    { sequencia: 4, numisca: '800002', fabricante: 3, descricao: 'Isca Sitrax 2' },
+    { sequencia: 5, numisca: '800003', fabricante: 3, descricao: 'Isca Sitrax (inativa)', ativo: 'N' },
+  ],
+  simulatedFleet: { vehicles: 50, iscas: 20 },
+};
+
+// Colunas de data: gravadas em ISO no SQLite (ordenáveis) e convertidas na entrada/saída
+const DATE_COLUMNS = new Set(['DATHOR']);
+const INSERT_DATE_PATTERN = /^(\d{2})\/(\d{2})\/(\d{4}) (\d{2}:\d{2}:\d{2})$/;
+const SQL_TO_DATE = /TO_DATE\(\s*'(\d{2})\/(\d{2})\/(\d{4}) (\d{2}:\d{2}:\d{2})'\s*,\s*'DD\/MM\/YYYY HH24:MI:SS'\s*\)/gi;
+const STORED_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}:\d{2}:\d{2})$/;
+
+// Mensagens no estilo do Oracle por trás do Sankhya
+const SQLITE_ERRORS = [
+  [/no such table/i, 'ORA-00942: a tabela ou view não existe'],
+  [/no such column: (\S+)/i, (match) => `ORA-00904: "${match[1].toUpperCase()}": identificador inválido`],
+  [/FOREIGN KEY constraint failed/i, 'ORA-02291: restrição de integridade violada - chave mãe não localizada'],
+  [/NOT NULL constraint failed: (\S+)/i, (match) => `ORA-01400: não é possível inserir NULL em (${match[1].toUpperCase()})`],
+  [/UNIQUE constraint failed/i, 'ORA-00001: restrição exclusiva violada'],
+  [/syntax error/i, 'ORA-00933: comando SQL não encerrado adequadamente'],
+];
+
+/**
+ * Erro de serviço devolvido ao cliente como status '0'.
+ */
+class EmulatorServiceError extends Error {}
+
+function toServiceError(error) {
+  if (error instanceof EmulatorServiceError) return error;
+  for (const [pattern, message] of SQLITE_ERRORS) {
+    const match = error.message.match(pattern);
+    if (match) return new EmulatorServiceError(typeof message === 'function' ? message(match) : message);
+  }
+  return new EmulatorServiceError(error.message);
+}
+
+function createDatabase(SQL) {
+  if (fs.existsSync(DB_FILE)) {
+    logger.info(`Banco do emulador carregado de ${DB_FILE}.`);
+    return new SQL.Database(fs.readFileSync(DB_FILE));
+  }
+
+  const db = new SQL.Database();
+  db.run(SCHEMA);
+
+  const seed = sankhyaConfig.emulatorSeedFile ? readConfigFile(sankhyaConfig.emulatorSeedFile) : DEFAULT_SEED;
+  if (!seed) throw new Error(`Arquivo de carga do emulador ${path.resolve(sankhyaConfig.emulatorSeedFile)} não encontrado.`);
+  for (const v of seed.vehicles || []) {
+    db.run('INSERT INTO TGFVEI (CODVEICULO, PLACA, MARCAMODELO, ATIVO) VALUES (?, ?, ?, ?)',
+      [v.codveiculo, String(v.placa), v.marcaModelo ?? null, v.ativo ?? 'S']);
+  }
+  for (const i of seed.iscas || []) {
+    db.run('INSERT INTO AD_CADISCA (SEQUENCIA, NUMISCA, FABRICANTE, DESCRICAO, ATIVO) VALUES (?, ?, ?, ?, ?)',
+      [i.sequencia, String(i.numisca), i.fabricante, i.descricao ?? null, i.ativo ?? 'S']);
+  }
+  // Códigos da frota simulada atribuídos pelo banco (após os informados acima)
+  for (let n = 1; n <= (seed.simulatedFleet?.vehicles || 0); n++) {
+    db.run('INSERT INTO TGFVEI (PLACA, MARCAMODELO) VALUES (?, ?)', [simulatedPlate(n), 'VEÍCULO SIMULADO']);
+  }
+  for (let n = 1; n <= (seed.simulatedFleet?.iscas || 0); n++) {
+    db.run('INSERT INTO AD_CADISCA (NUMISCA, FABRICANTE, DESCRICAO) VALUES (?, ?, ?)',
+      [simulatedIscaNumber(n), Number(SIMULATED_FABRICANTE_ID), 'Isca simulada']);
+  }
+  fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+  fs.writeFileSync(DB_FILE, Buffer.from(db.export()));
+  const [[vehicles, iscas]] = db.exec('SELECT (SELECT COUNT(*) FROM TGFVEI), (SELECT COUNT(*) FROM AD_CADISCA)')[0].values;
+  logger.info(`Banco do emulador criado em ${DB_FILE}: ${vehicles} veículos e ${iscas} iscas cadastrados.`);
+  return db;
+}
+
+/**
+ * Serviços do emulador sobre um banco já aberto.
+ */
+function createServices(db) {
+  // JSessionID -> momento do login
+  const sessions = new Map();
+  let persistTimer = null;
+  const columnsCache = new Map();
+
+  db.run('PRAGMA foreign_keys = ON');
+
+  function persist() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+    fs.writeFileSync(DB_FILE, Buffer.from(db.export()));
+    // O export do sql.js reinicia os PRAGMAs da conexão
+    db.run('PRAGMA foreign_keys = ON');
+  }
+
+  function schedulePersist() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(persist, PERSIST_DELAY_MS);
+    persistTimer.unref();
+  }
+
+  function tableColumns(entityName) {
+    if (!columnsCache.has(entityName)) {
+      const result = db.exec(`PRAGMA table_info(${entityName})`);
+      if (result.length === 0) throw new EmulatorServiceError('ORA-00942: a tabela ou view não existe');
+      columnsCache.set(entityName, new Map(result[0].values.map(([, name, type]) => [name, type])));
+    }
+    return columnsCache.get(entityName);
+  }
+
+  function toColumnValue(column, type, value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (DATE_COLUMNS.has(column)) {
+      const match = String(value).match(INSERT_DATE_PATTERN);
+      if (!match) throw new EmulatorServiceError('ORA-01861: o literal não corresponde à string de formato');
+      return `${match[3]}-${match[2]}-${match[1]} ${match[4]}`;
+    }
+    if (type === 'INTEGER' || type === 'NUMERIC') {
+      const number = Number(value);
+      if (!Number.isFinite(number)) throw new EmulatorServiceError('ORA-01722: número inválido');
+      return number;
+    }
+    return String(value);
+  }
+
+  function toQueryValue(column, value) {
+    if (!DATE_COLUMNS.has(column) || typeof value !== 'string') return value;
+    const match = value.match(STORED_DATE_PATTERN);
+    return match ? `${match[3]}${match[2]}${match[1]} ${match[4]}` : value;
+  }
+
+  return {
+    login(requestBody) {
+      if (!requestBody?.NOMUSU?.$ || !requestBody?.INTERNO?.$) {
+        throw new EmulatorServiceError('Usuário/Senha inválido.');
+      }
+      const jsessionid = randomUUID().replace(/-/g, '').toUpperCase();
+      sessions.set(jsessionid, Date.now());
+      logger.info(`Login de ${requestBody.NOMUSU.$}. Sessão válida por ${sankhyaConfig.emulatorSessionTtlMs / 1000}s.`);
+      return { jsessionid: { $: jsessionid }, idusu: { $: '0' } };
+    },
+
+    /**
+     * @returns {boolean} Se o JSessionID existe e não expirou
+     */
+    checkSession(jsessionid) {
+      const loggedAt = sessions.get(jsessionid);
+      if (loggedAt === undefined) return false;
+      if (Date.now() - loggedAt > sankhyaConfig.emulatorSessionTtlMs) {
+        sessions.delete(jsessionid);
+        logger.info(`Sessão ${jsessionid.substring(0, 10)}... expirada.`);
+        return false;
+      }
+      return true;
+    },
+
+    executeQuery(requestBody) {
+      const sql = String(requestBody?.sql || '');
+      if (!/^\s*(SELECT|WITH)\b/i.test(sql)) {
+        throw new EmulatorServiceError('O DbExplorer aceita apenas consultas (SELECT).');
+      }
+
+      let result;
+      try {
+        // TO_DATE('dd/MM/yyyy HH:mm:ss', 'DD/MM/YYYY HH24:MI:SS') vira um literal ISO
+        [result] = db.exec(sql.replace(SQL_TO_DATE, "'$3-$2-$1 $4'"));
+      } catch (error) {
+        throw toServiceError(error);
+      }
+      if (!result) return { fieldsMetadata: [], rows: [] };
+
+      const columns = result.columns.map(column => column.toUpperCase());
+      return {
+        fieldsMetadata: columns.map((name, index) => ({ name, order: index + 1 })),
+        rows: result.values.map(row => row.map((value, index) => toQueryValue(columns[index], value))),
+      };
+    },
+
+    save(requestBody) {
+      const { entityName, fields = [], records = [] } = requestBody || {};
+      if (!entityName || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(entityName)) {
+        throw new EmulatorServiceError('Entidade não informada ou inválida.');
+      }
+      const columns = tableColumns(entityName);
+
+      const rows = records.map(record => {
+        const row = {};
+        const assign = (column, value) => {
+          if (!columns.has(column)) throw new EmulatorServiceError(`ORA-00904: "${column}": identificador inválido`);
+          row[column] = toColumnValue(column, columns.get(column), value);
+        };
+        for (const [column, value] of Object.entries(record.foreignKey || {})) assign(column, value);
+        for (const [index, value] of Object.entries(record.values || {})) {
+          const column = fields[Number(index)];
+          if (!column) throw new EmulatorServiceError(`Campo de índice ${index} não informado em 'fields'.`);
+          assign(column, value);
+        }
+        return row;
+      });
+
+      const keys = [];
+      db.run('BEGIN');
+      try {
+        for (const row of rows) {
+          const names = Object.keys(row);
+          db.run(
+            `INSERT INTO ${entityName} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+            names.map(name => row[name])
+          );
+          keys.push(db.exec('SELECT last_insert_rowid()')[0].values[0][0]);
+        }
+        db.run('COMMIT');
+      } catch (error) {
+        db.run('ROLLBACK');
+        throw toServiceError(error);
+      }
+
+      schedulePersist();
+      return { result: keys.map(key => [String(key)]) };
+    },
+
+    /**
+     * Grava no arquivo as alterações ainda pendentes.
+     */
+    flush() {
+      if (persistTimer) persist();
+    },
+  };
+}
+
+/**
+ * Corpo em ISO-8859-1, como o Sankhya responde.
+ */
+function sendLatin1(res, payload) {
+  res.set('Content-Type', 'application/json; charset=ISO-8859-1');
+  res.send(Buffer.from(JSON.stringify(payload), 'latin1'));
+}
+
+function readSessionCookie(req) {
+  const match = (req.headers.cookie || '').match(/(?:^|;\s*)JSESSIONID=([^;]+)/);
+  return match ? match[1] : null;
+}
+
+// Identificação do emulador, conferida antes de reaproveitar um já em execução na porta
+const IDENTITY_PATH = '/emulator/identity';
+const IDENTITY = 'integracao-hub/sankhya-emulator';
+
+function createApp(services) {
+  const app = express();
+  app.use(express.json({ limit: '20mb' }));
+
+  app.get(IDENTITY_PATH, (req, res) => {
+    res.json({ emulator: IDENTITY, dbFile: DB_FILE });
+  });
+
+  app.post('/service.sbr', (req, res) => {
+    const serviceName = req.query.serviceName;
+    const requestBody = req.body?.requestBody;
+    const reply = (fields) => sendLatin1(res, { serviceName, ...fields });
+
+    try {
+      if (serviceName === 'MobileLoginSP.login') {
+        return reply({ status: '1', responseBody: services.login(requestBody) });
+      }
+      if (!services.checkSession(readSessionCookie(req))) {
+        return reply({ status: '3', statusMessage: 'Não autorizado.' });
+      }
+      if (serviceName === 'DbExplorerSP.executeQuery') {
+        return reply({ status: '1', responseBody: services.executeQuery(requestBody) });
+      }
+      if (serviceName === 'DatasetSP.save') {
+        return reply({ status: '1', responseBody: services.save(requestBody) });
+      }
+      return reply({ status: '0', statusMessage: `Serviço '${serviceName}' não disponível no emulador.` });
+    } catch (error) {
+      if (!(error instanceof EmulatorServiceError)) {
+        logger.error(`Erro inesperado em ${serviceName}: ${error.message}`);
+      }
+      return reply({ status: '0', statusMessage: error.message });
+    }
+  });
+
+  return app;
+}
+
+/**
+ * Confere se quem atende em `baseUrl` é um emulador sobre o mesmo banco deste processo.
+ * @returns {Promise<boolean>}
+ */
+function isSameEmulator(baseUrl) {
+  return new Promise((resolve) => {
+    const request = http.get(`${baseUrl}${IDENTITY_PATH}`, { timeout: 2000 }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        try {
+          const identity = JSON.parse(body);
+          resolve(res.statusCode === 200 && identity.emulator === IDENTITY && identity.dbFile === DB_FILE);
+        } catch (e) {
+          resolve(false);
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy());
+    request.on('error', () => resolve(false));
+  });
+}
+
+function listen(server, port) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+}
+
+async function start() {
+  const port = sankhyaConfig.emulatorPort;
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const db = createDatabase(await initSqlJs());
+  const services = createServices(db);
+  const server = http.createServer(createApp(services));
+
+  try {
+    await listen(server, port);
+  } catch (error) {
+    db.close();
+    if (error.code !== 'EADDRINUSE') throw error;
+    // Ex: a CLI de reimportação com o hub no ar usa o emulador do hub. Outro serviço
+    // (ou um emulador de outro DATA_DIR) receberia credenciais e gravações: falha
+    if (!(await isSameEmulator(baseUrl))) {
+      const message = `Porta ${port} do emulador do Sankhya em uso por outro serviço (ou emulador de outro banco). Ajuste SANKHYA_EMULATOR_PORT.`;
+      logger.error(message);
+      throw new Error(message);
+    }
+    logger.warn(`Porta ${port} em uso: usando o emulador do Sankhya já em execução em ${baseUrl}.`);
+    return baseUrl;
+  }
+
+  // O emulador sozinho não mantém o processo vivo. O banco é gravado
+  // PERSIST_DELAY_MS após cada alteração e na saída (ex: process.exit da CLI)
+  server.unref();
+  process.on('exit', () => services.flush());
+  // SIGTERM/SIGINT encerram sem o evento 'exit': grava e repete o sinal, que
+  // sem este ouvinte (`once`) volta a ter o comportamento padrão
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+      services.flush();
+      process.kill(process.pid, signal);
+    });
+  }
+  logger.warn(`Emulador do Sankhya ativo em ${baseUrl} (banco ${DB_FILE}). Nenhum dado vai para um ERP real.`);
+  return baseUrl;
+}
+
+let started = null;
+
+/**
+ * Inicia o emulador (uma única vez por processo).
+ * @returns {Promise<string>} A URL base a ser usada no lugar de 'emulator'
+ */
+export function startSankhyaEmulator() {
+  started ??= start();
+  return started;
+}
@@ -0,0 +1,64 @@
+import { sankhyaConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { probeLogin } from './sankhya.session.js';
+
+const logger = createLogger('SankhyaHealth');
+
+// destino -> { timer, probing, successes, watchers (job -> callback chamado quando o principal volta) }
+const probes = new Map();
+
+async function probePrimary(target, probe) {
+  if (probe.probing) return;
+  probe.probing = true;
+  try {
+    const healthy = await probeLogin(target, target.url);
+    probe.successes = healthy ? probe.successes + 1 : 0;
+    logger.info(`Sonda do Sankhya ${target.name} (principal): ${healthy ? 'OK' : 'falhou'} (${probe.successes}/${sankhyaConfig.healthProbeSuccesses}).`);
+
+    if (probe.successes >= sankhyaConfig.healthProbeSuccesses) {
+      logger.info(`Sankhya ${target.name} principal saudável novamente. Retornando os jobs da contingência.`);
+      const callbacks = [...probe.watchers.values()];
+      stop(target);
+      callbacks.forEach(callback => callback());
+    }
+  } finally {
+    probe.probing = false;
+  }
+}
+
+function stop(target) {
+  clearInterval(probes.get(target.name)?.timer);
+  probes.delete(target.name);
+}
+
+/**
+ * Passa a sondar a URL principal de um destino para um job que está na contingência.
+ * Após `healthProbeSuccesses` logins seguidos bem-sucedidos, chama o callback
+ * (uma única vez) para o job voltar ao principal.
+ * @param {Object} target - Destino Sankhya (ver `sankhya.targets.js`)
+ * @param {string} jobName - Nome do job (ex: 'Atualcargo')
+ * @param {Function} onHealthy - Chamado quando o principal está saudável
+ */
+export function watchPrimary(target, jobName, onHealthy) {
+  let probe = probes.get(target.name);
+  if (!probe) {
+    logger.info(`Iniciando sonda do Sankhya ${target.name} (principal) a cada ${sankhyaConfig.healthProbeIntervalMs / 1000}s.`);
+    probe = { timer: null, probing: false, successes: 0, watchers: new Map() };
+    probe.timer = setInterval(() => probePrimary(target, probe), sankhyaConfig.healthProbeIntervalMs);
+    probe.timer.unref();
+    probes.set(target.name, probe);
+  }
+  probe.watchers.set(jobName, onHealthy);
+}
+
+/**
+ * Deixa de sondar o principal de um destino para um job (ex: ele já voltou por outro motivo).
+ * @param {Object} target - Destino Sankhya
+ * @param {string} jobName - Nome do job
+ */
+export function unwatchPrimary(target, jobName) {
+  const probe = probes.get(target.name);
+  if (!probe) return;
+  probe.watchers.delete(jobName);
+  if (probe.watchers.size === 0) stop(target);
+}
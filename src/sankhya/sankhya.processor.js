@@ -1,7 +1,10 @@
 import { createLogger } from '../utils/logger.js';
 import * as sankhyaApi from './sankhya.api.js';
-import { isNewer } from '../utils/dateTime.js';
+import { isNewer, parseSankhyaQueryDate } from '../utils/dateTime.js';
 import { appConfig } from '../config/index.js';
+import { addToQuarantine } from './sankhya.quarantine.js';
+import { updateUnregistered } from './sankhya.unregistered.js';
+import fleetManager from '../utils/fleetManager.js';
 
 const logger = createLogger('SankhyaProcessor');
 
@@ -9,20 +12,81 @@ const { sankhyaRetryLimit, sankhyaRetryDelay } = appConfig;
 
 const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+// Chave de deduplicação da reimportação: ativo + DATHOR (precisão de segundos)
+const historyKey = (code, date) => `${code}|${Math.floor(date.getTime() / 1000)}`;
+
+/**
+ * Carrega as posições já gravadas no intervalo da reimportação, por ativo.
+ * @returns {Promise<Set<string>>} Chaves `historyKey`
+ */
+async function loadExistingHistory(vehicleCodes, iscaSequencias, replay, endpoint) {
+  const [vehicleRows, iscaRows] = await Promise.all([
+    sankhyaApi.getVehicleHistoryInRange([...new Set(vehicleCodes)], replay.from, replay.to, endpoint),
+    sankhyaApi.getIscaHistoryInRange([...new Set(iscaSequencias)], replay.from, replay.to, endpoint),
+  ]);
+  const existing = new Set();
+  for (const row of vehicleRows) {
+    const date = parseSankhyaQueryDate(row.DATHOR);
+    if (date) existing.add(historyKey(`V${row.CODVEICULO}`, date));
+  }
+  for (const row of iscaRows) {
+    const date = parseSankhyaQueryDate(row.DATHOR);
+    if (date) existing.add(historyKey(`I${row.SEQUENCIA}`, date));
+  }
+  return existing;
+}
+
+/**
+ * Monta as linhas do relatório da simulação (dry-run):
+ *  - insert: seria gravada (com `problem` se a validação local a mandaria para a quarentena)
+ *  - unregistered: ativo sem cadastro no Sankhya
+ *  - stale: não é mais nova que o último registro do ativo (`lastDathor`)
+ */
+function buildPlan(inserts, unmatched, stale) {
+  const row = (action, pos, extra = {}) => ({
+    action,
+    type: pos.type,
+    identifier: pos.identifier,
+    code: pos.codveiculo ?? pos.sequencia ?? null,
+    date: pos.date?.toISOString?.() ?? null,
+    lastDathor: null,
+    lat: pos.lat,
+    lon: pos.lon,
+    speed: pos.speed,
+    ignition: pos.ignition ?? null,
+    location: pos.location ?? null,
+    problem: null,
+    ...extra,
+  });
+  return [
+    ...inserts.map(pos => row('insert', pos, { problem: sankhyaApi.validateInsertRecord(pos) })),
+    ...unmatched.map(pos => row('unregistered', pos)),
+    ...stale.map(pos => row('stale', pos, { lastDathor: pos.lastDathor ?? null })),
+  ];
+}
+
 /**
  * Processa um lote de dados de veículos e iscas no Sankhya.
  * @param {Array<Object>} standardPositions - Dados já mapeados
  * @param {string} sourceName - Nome da fonte (ex: 'Atualcargo')
- * @param {string} sankhyaUrl - A URL (principal/contingência) a ser usada
+ * @param {{target: Object, url: string}} endpoint - Destino Sankhya e a URL em uso (principal/contingência)
  * @param {string} iscaFabricanteId - O ID do fabricante para este lote de iscas
+ * @param {Object} [options]
+ * @param {{from: Date, to: Date}} [options.replay] - Reimportação (backfill) de um intervalo: além das
+ *   posições mais novas que o último registro (`isNewer`), grava as do intervalo que ainda não têm
+ *   registro do ativo com a mesma DATHOR. Não atualiza o mapa nem a lista de ativos sem cadastro.
+ * @param {boolean} [options.dryRun] - Simulação: faz as consultas e os filtros, mas não grava nada
+ *   (nem quarentena, mapa ou ativos sem cadastro). O resumo traz `planned` e o `plan` (ver `buildPlan`).
+ * @returns {Promise<{unmatched: number, notNewer: number, inserted: number, quarantined: number}>} Resumo do lote
  */
-export async function processPositions(standardPositions, sourceName, sankhyaUrl, iscaFabricanteId) {
-  
+export async function processPositions(standardPositions, sourceName, endpoint, iscaFabricanteId, { replay = null, dryRun = false } = {}) {
+  const targetName = endpoint.target.name;
+
   // 1. Separa veículos de iscas
   const vehicles = standardPositions.filter(p => p.type === 'vehicle');
   const iscas = standardPositions.filter(p => p.type === 'isca');
   
-  logger.info(`[${sourceName}] Processando ${vehicles.length} veículos e ${iscas.length} iscas no Sankhya em ${sankhyaUrl}`);
+  logger.info(`[${sourceName}] Processando ${vehicles.length} veículos e ${iscas.length} iscas no Sankhya ${targetName} em ${endpoint.url}`);
 
   // 2. Obter dados de mapeamento e históricos do Sankhya
   const vehiclePlates = vehicles.map((v) => v.identifier);
@@ -34,10 +98,10 @@ export async function processPositions(standardPositions, sourceName, sankhyaUrl
     vehicleHistoryResult,
     iscaHistoryResult,
   ] = await Promise.all([
-    sankhyaApi.getVehiclesByPlate(vehiclePlates, sankhyaUrl),
-    sankhyaApi.getIscasByNum(iscaNumbers, iscaFabricanteId, sankhyaUrl),
-    sankhyaApi.getLastVehicleHistory(sankhyaUrl),
-    sankhyaApi.getLastIscaHistory(sankhyaUrl),
+    sankhyaApi.getVehiclesByPlate(vehiclePlates, endpoint),
+    sankhyaApi.getIscasByNum(iscaNumbers, iscaFabricanteId, endpoint),
+    sankhyaApi.getLastVehicleHistory(endpoint),
+    sankhyaApi.getLastIscaHistory(endpoint),
   ]);
 
   const vehicleMap = new Map(vehicleMappingResult.map((v) => [v.PLACA, v.CODVEICULO]));
@@ -47,17 +111,42 @@ export async function processPositions(standardPositions, sourceName, sankhyaUrl
 
   logger.info(`[${sourceName}] ${vehicleMap.size} veículos e ${iscaMap.size} iscas mapeados.`);
 
+  const existing = replay
+    ? await loadExistingHistory(
+        vehicles.map(v => vehicleMap.get(v.identifier)).filter(Boolean),
+        iscas.map(i => iscaMap.get(i.identifier)).filter(Boolean),
+        replay,
+        endpoint
+      )
+    : null;
+  // Na reimportação, cada posição aceita entra no conjunto para não repetir dentro do próprio lote.
+  // Fora do intervalo (ou com data inválida) vale apenas a regra `isNewer`.
+  const shouldInsert = (key, date, lastDathor) => {
+    if (!existing || !(date >= replay.from && date <= replay.to)) return isNewer(date, lastDathor);
+    const dedupKey = historyKey(key, date);
+    if (existing.has(dedupKey)) return false;
+    existing.add(dedupKey);
+    return true;
+  };
+
   // 3. Filtrar registros novos (Veículos)
   const newVehicleRecords = [];
+  const unmatched = [];
+  const matched = [];
+  const stale = dryRun ? [] : null; // Só a simulação detalha as posições descartadas
   for (const vehicle of vehicles) {
     const codveiculo = vehicleMap.get(vehicle.identifier);
     if (!codveiculo) {
       logger.debug(`[${sourceName}] Veículo ${vehicle.identifier} ignorado (não cadastrado no Sankhya).`);
+      unmatched.push(vehicle);
       continue;
     }
+    matched.push(vehicle);
     const lastDathor = lastVehicleHistory.get(codveiculo);
-    if (isNewer(vehicle.date, lastDathor)) {
+    if (shouldInsert(`V${codveiculo}`, vehicle.date, lastDathor)) {
       newVehicleRecords.push({ ...vehicle, codveiculo });
+    } else {
+      stale?.push({ ...vehicle, codveiculo, lastDathor });
     }
   }
 
@@ -67,27 +156,67 @@ export async function processPositions(standardPositions, sourceName, sankhyaUrl
     const sequencia = iscaMap.get(isca.identifier);
     if (!sequencia) {
       logger.debug(`[${sourceName}] Isca ${isca.identifier} ignorada (não cadastrada no Sankhya).`);
+      unmatched.push(isca);
       continue;
     }
+    matched.push(isca);
     
     // ***** ESTA É A CORREÇÃO *****
     // Estava: lastIscaHistory.get(isca.identifier)
     // Corrigido: lastIscaHistory.get(sequencia)
     const lastDathor = lastIscaHistory.get(sequencia);
     
-    if (isNewer(isca.date, lastDathor)) {
+    if (shouldInsert(`I${sequencia}`, isca.date, lastDathor)) {
       newIscaRecords.push({ ...isca, sequencia });
+    } else {
+      stale?.push({ ...isca, sequencia, lastDathor });
     }
   }
   
   logger.info(`[${sourceName}] ${newVehicleRecords.length} novos veículos e ${newIscaRecords.length} novas iscas para inserir.`);
+  if (unmatched.length > 0) {
+    logger.info(`[${sourceName}] ${unmatched.length} posições sem cadastro no Sankhya (ver /api/unregistered).`);
+  }
+
+  if (dryRun) {
+    const plan = buildPlan([...newVehicleRecords, ...newIscaRecords], unmatched, stale);
+    logger.info(`[${sourceName}] Simulação no Sankhya ${targetName}: ${plan.length} linha(s) no relatório, nada gravado.`);
+    return {
+      unmatched: unmatched.length,
+      notNewer: stale.length,
+      inserted: 0,
+      quarantined: 0,
+      planned: newVehicleRecords.length + newIscaRecords.length,
+      plan,
+    };
+  }
+
+  if (!replay) updateUnregistered(sourceName, unmatched, matched, targetName);
 
   // 5. Inserir no Sankhya
   logger.info(`[${sourceName}] Iniciando inserção de dados no Sankhya...`);
-  await Promise.all([
-    sankhyaApi.insertVehicleHistory(newVehicleRecords, sankhyaUrl),
-    sankhyaApi.insertIscaHistory(newIscaRecords, sankhyaUrl),
+  const [vehicleResult, iscaResult] = await Promise.all([
+    sankhyaApi.insertVehicleHistory(newVehicleRecords, endpoint),
+    sankhyaApi.insertIscaHistory(newIscaRecords, endpoint),
   ]);
 
-  logger.info(`[${sourceName}] Processamento Sankhya concluído com sucesso.`);
+  // 6. Registros rejeitados não bloqueiam o restante da frota
+  addToQuarantine(sourceName, vehicleResult.entityName, vehicleResult.quarantined, targetName);
+  addToQuarantine(sourceName, iscaResult.entityName, iscaResult.quarantined, targetName);
+
+  // 7. Marca no mapa do painel o que foi gravado (as posições entram no mapa ao irem para o outbox)
+  const rejected = new Set([...vehicleResult.quarantined, ...iscaResult.quarantined].map(item => item.record));
+  const insertedRecords = [...newVehicleRecords, ...newIscaRecords].filter(record => !rejected.has(record));
+  if (!replay) fleetManager.markInserted(insertedRecords);
+
+  const newRecords = newVehicleRecords.length + newIscaRecords.length;
+  const summary = {
+    unmatched: unmatched.length,
+    notNewer: matched.length - newRecords,
+    inserted: vehicleResult.inserted + iscaResult.inserted,
+    quarantined: vehicleResult.quarantined.length + iscaResult.quarantined.length,
+  };
+
+  logger.info(`[${sourceName}] Processamento Sankhya ${targetName} concluído: ${summary.inserted} inseridos, ${summary.quarantined} em quarentena.`);
+  return summary;
 }
\ No newline at end of file
@@ -0,0 +1,72 @@
+import fs from 'fs';
+import path from 'path';
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { DEFAULT_TARGET } from './sankhya.targets.js';
+
+const logger = createLogger('SankhyaQuarantine');
+
+const QUARANTINE_DIR = path.resolve(appConfig.dataDir, 'quarantine');
+fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+
+const fileFor = (sourceName) => path.join(QUARANTINE_DIR, `${path.basename(sourceName.toLowerCase())}.jsonl`);
+
+/**
+ * Grava em quarentena os registros rejeitados pelo Sankhya.
+ * Eles saem do fluxo normal (o lote é confirmado no outbox) e ficam
+ * disponíveis para análise via `/api/quarantine`.
+ * @param {string} sourceName - Nome da fonte (ex: 'Atualcargo')
+ * @param {string} entityName - Tabela de destino (ex: 'AD_LOCATCAR')
+ * @param {Array<{record: Object, reason: string}>} items - Registros rejeitados
+ * @param {string} [targetName] - Destino Sankhya que rejeitou os registros
+ */
+export function addToQuarantine(sourceName, entityName, items, targetName = DEFAULT_TARGET) {
+  if (items.length === 0) return;
+
+  const quarantinedAt = new Date().toISOString();
+  const lines = items
+    .map(({ record, reason }) => JSON.stringify({ quarantinedAt, source: sourceName, target: targetName, entity: entityName, reason, record }))
+    .join('\n');
+
+  fs.appendFileSync(fileFor(sourceName), `${lines}\n`);
+  logger.warn(`[${sourceName}] ${items.length} registro(s) de ${entityName} (${targetName}) enviados para a quarentena.`);
+}
+
+/**
+ * Lista os registros em quarentena, do mais recente para o mais antigo.
+ * @param {Object} [options]
+ * @param {string} [options.source] - Filtra por fonte
+ * @param {number} [options.limit] - Máximo de registros retornados
+ */
+export function listQuarantine({ source, limit = 500 } = {}) {
+  const files = source
+    ? [fileFor(source)]
+    : fs.readdirSync(QUARANTINE_DIR).filter(f => f.endsWith('.jsonl')).map(f => path.join(QUARANTINE_DIR, f));
+
+  const entries = [];
+  for (const file of files) {
+    if (!fs.existsSync(file)) continue;
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    for (const line of lines) {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        // Linha parcial (queda durante a escrita). Ignora.
+      }
+    }
+  }
+
+  return entries
+    .sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt))
+    .slice(0, limit);
+}
+
+/**
+ * Quantidade de registros em quarentena de uma fonte.
+ * @param {string} sourceName - Nome da fonte (ex: 'Atualcargo')
+ */
+export function getQuarantineCount(sourceName) {
+  const file = fileFor(sourceName);
+  if (!fs.existsSync(file)) return 0;
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length;
+}
@@ -0,0 +1,147 @@
+import axios from 'axios';
+import { TextDecoder } from 'util';
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { SankhyaTokenError } from '../utils/errors.js';
+
+const logger = createLogger('SankhyaSession');
+
+function createApiClient(baseUrl) {
+  return axios.create({
+    baseURL: baseUrl,
+    timeout: appConfig.timeout,
+    responseType: 'arraybuffer',
+    transformResponse: [data => {
+      try {
+        const decoder = new TextDecoder('iso-8859-1');
+        const decoded = decoder.decode(data);
+        return JSON.parse(decoded);
+      } catch (e) {
+        return data; // Retorna buffer se falhar
+      }
+    }],
+  });
+}
+
+/**
+ * Faz o login (MobileLoginSP.login) e retorna o JSessionID.
+ * @param {Object} target - Destino Sankhya (credenciais)
+ * @param {string} baseUrl - A URL (principal/contingência)
+ */
+async function requestLogin(target, baseUrl) {
+  const loginBody = {
+    serviceName: 'MobileLoginSP.login',
+    requestBody: {
+      NOMUSU: { $: target.username },
+      INTERNO: { $: target.password },
+      KEEPCONNECTED: { $: 'S' },
+    },
+  };
+
+  const response = await axios.post(
+    '/service.sbr?serviceName=MobileLoginSP.login&outputType=json',
+    loginBody,
+    { baseURL: baseUrl, timeout: appConfig.timeout, responseType: 'json' }
+  );
+
+  const data = response.data;
+  if (data.status === '1' && data.responseBody?.jsessionid?.$) {
+    return data.responseBody.jsessionid.$;
+  }
+  logger.error(`[Sankhya:${target.name}] Falha de autenticação em ${baseUrl}: ${data.statusMessage}`, data);
+  throw new SankhyaTokenError(`Falha de autenticação no Sankhya: ${data.statusMessage}`);
+}
+
+/**
+ * Sessão com uma URL de um destino Sankhya: cliente HTTP, JSessionID e trava
+ * de login próprios. Uma URL (ou um destino) nunca reaproveita a sessão de outra.
+ * @param {Object} target - Destino Sankhya (credenciais)
+ * @param {string} baseUrl - A URL (principal/contingência)
+ */
+function createSession(target, baseUrl) {
+  const client = createApiClient(baseUrl);
+  let jsessionid = null;
+  let loginPromise = null;
+
+  async function performLogin() {
+    logger.info(`[Sankhya:${target.name}] Autenticando (iniciando nova sessão) em ${baseUrl}...`);
+    try {
+      jsessionid = await requestLogin(target, baseUrl);
+      logger.info(`[Sankhya:${target.name}] Login bem-sucedido em ${baseUrl}. JSessionID: ${jsessionid.substring(0, 10)}...`);
+    } catch (error) {
+      jsessionid = null;
+      if (error instanceof SankhyaTokenError) throw error;
+      logger.error(`[Sankhya:${target.name}] Erro crítico ao fazer login em ${baseUrl}: ${error.message}`);
+      throw new Error(`Falha no login da Sankhya: ${error.message}`);
+    } finally {
+      loginPromise = null;
+    }
+  }
+
+  return {
+    baseUrl,
+    client,
+
+    /**
+     * Garante uma sessão válida. Chamadas simultâneas aguardam o mesmo login.
+     */
+    async login() {
+      if (loginPromise) {
+        logger.debug(`[Sankhya:${target.name}] Aguardando login em andamento em ${baseUrl}...`);
+        return loginPromise;
+      }
+      if (jsessionid) return;
+      loginPromise = performLogin();
+      return loginPromise;
+    },
+
+    /**
+     * Descarta o JSessionID (expirado ou após erro de conexão).
+     */
+    invalidate() {
+      jsessionid = null;
+    },
+
+    get headers() {
+      return { Cookie: `JSESSIONID=${jsessionid}` };
+    },
+  };
+}
+
+// destino|URL -> sessão
+const sessions = new Map();
+
+/**
+ * Retorna a sessão de um destino na URL informada, criando-a se necessário.
+ * @param {Object} target - Destino Sankhya (ver `sankhya.targets.js`)
+ * @param {string} [baseUrl] - A URL (principal/contingência). Padrão: a principal do destino.
+ */
+export function getSession(target, baseUrl = target.url) {
+  const key = `${target.name}|${baseUrl}`;
+  if (!sessions.has(key)) {
+    sessions.set(key, createSession(target, baseUrl));
+  }
+  return sessions.get(key);
+}
+
+/**
+ * Verifica se uma URL do Sankhya aceita login, sem tocar na sessão em uso.
+ * A sessão aberta pela verificação é encerrada em seguida.
+ * @param {Object} target - Destino Sankhya (credenciais)
+ * @param {string} baseUrl - A URL a ser verificada
+ * @returns {Promise<boolean>}
+ */
+export async function probeLogin(target, baseUrl) {
+  try {
+    const probeSession = await requestLogin(target, baseUrl);
+    await axios.post(
+      '/service.sbr?serviceName=MobileLoginSP.logout&outputType=json',
+      { serviceName: 'MobileLoginSP.logout' },
+      { baseURL: baseUrl, timeout: appConfig.timeout, headers: { Cookie: `JSESSIONID=${probeSession}` } }
+    ).catch(() => {}); // Melhor esforço: a sessão expira sozinha no servidor
+    return true;
+  } catch (error) {
+    logger.debug(`[Sankhya:${target.name}] Sonda de ${baseUrl} falhou: ${error.message}`);
+    return false;
+  }
+}
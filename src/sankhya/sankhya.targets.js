@@ -0,0 +1,136 @@
+import path from 'path';
+import { appConfig, sankhyaConfig, geofenceConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import { expandEnv, readConfigFile } from '../utils/configFile.js';
+import { EMULATOR_URL, startSankhyaEmulator } from './sankhya.emulator.js';
+
+const logger = createLogger('SankhyaTargets');
+
+/**
+ * Destinos Sankhya (um por banco/empresa). O destino 'default' vem das
+ * variáveis SANKHYA_*; os demais, da lista `sankhyaTargets` do arquivo de
+ * conectores (`appConfig.connectorsFile`):
+ *
+ *  { name, url, contingencyUrl?, username, password, vehicleDatasetId?, iscaDatasetId?, dbDialect?,
+ *    tables?: { vehicles, iscas, vehicleHistory, iscaHistory },
+ *    geofence?: { entityName, datasetId } }
+ *
+ * Os campos omitidos (exceto URL e credenciais) herdam os valores do 'default'.
+ * A URL (ou a de contingência) 'emulator' aponta para o emulador embutido
+ * (ver `sankhya.emulator.js`), iniciado aqui quando algum destino o usa.
+ */
+export const DEFAULT_TARGET = 'default';
+
+// Nomes de tabela entram na SQL: apenas identificadores simples
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const DB_DIALECTS = ['oracle', 'mssql'];
+
+const defaultTarget = {
+  name: DEFAULT_TARGET,
+  url: sankhyaConfig.url,
+  contingencyUrl: sankhyaConfig.contingencyUrl,
+  username: sankhyaConfig.username,
+  password: sankhyaConfig.password,
+  vehicleDatasetId: sankhyaConfig.vehicleDatasetId,
+  iscaDatasetId: sankhyaConfig.iscaDatasetId,
+  dbDialect: sankhyaConfig.dbDialect,
+  tables: {
+    vehicles: 'TGFVEI',
+    iscas: 'AD_CADISCA',
+    vehicleHistory: 'AD_LOCATCAR',
+    iscaHistory: 'AD_LOCATISC',
+  },
+  geofence: {
+    entityName: geofenceConfig.entityName,
+    datasetId: geofenceConfig.datasetId,
+  },
+};
+
+function normalizeTarget(raw, index) {
+  const label = `Destino Sankhya ${raw?.name ? `[${raw.name}]` : `#${index + 1}`} inválido`;
+  if (!raw || typeof raw !== 'object') throw new Error(`${label}: esperado um objeto.`);
+  if (typeof raw.name !== 'string' || !NAME_PATTERN.test(raw.name)) {
+    throw new Error(`${label}: 'name' é obrigatório (letras, números, '-' e '_').`);
+  }
+  const target = expandEnv(raw, label);
+  const missing = ['url', 'username', 'password'].filter(field => !target[field]);
+  if (missing.length > 0) {
+    throw new Error(`${label}: campos obrigatórios ausentes: ${missing.join(', ')}.`);
+  }
+
+  const normalized = {
+    ...defaultTarget,
+    ...target,
+    contingencyUrl: target.contingencyUrl || null,
+    tables: { ...defaultTarget.tables, ...target.tables },
+    geofence: { ...defaultTarget.geofence, ...target.geofence },
+  };
+  for (const table of [...Object.values(normalized.tables), normalized.geofence.entityName]) {
+    if (!IDENTIFIER_PATTERN.test(table)) throw new Error(`${label}: nome de tabela '${table}' inválido.`);
+  }
+  if (!DB_DIALECTS.includes(normalized.dbDialect)) {
+    throw new Error(`${label}: 'dbDialect' deve ser ${DB_DIALECTS.join(' ou ')}.`);
+  }
+  return normalized;
+}
+
+function loadTargets() {
+  const targets = new Map([[DEFAULT_TARGET, defaultTarget]]);
+  const parsed = readConfigFile(appConfig.connectorsFile);
+  const list = Array.isArray(parsed) ? [] : parsed?.sankhyaTargets || [];
+  if (!Array.isArray(list)) {
+    throw new Error(`Arquivo de conectores ${path.resolve(appConfig.connectorsFile)} inválido: 'sankhyaTargets' deve ser uma lista.`);
+  }
+
+  list.forEach((raw, index) => {
+    const target = normalizeTarget(raw, index);
+    if (targets.has(target.name)) {
+      throw new Error(`Destino Sankhya [${target.name}] duplicado.`);
+    }
+    targets.set(target.name, target);
+  });
+
+  if (targets.size > 1) {
+    logger.info(`${targets.size} destinos Sankhya configurados: ${[...targets.keys()].join(', ')}.`);
+  }
+  return targets;
+}
+
+/**
+ * Troca 'emulator' pela URL do emulador embutido, iniciando-o se algum destino o usar.
+ */
+async function resolveEmulatorUrls(targets) {
+  const usesEmulator = (target) => [target.url, target.contingencyUrl].includes(EMULATOR_URL);
+  if (![...targets.values()].some(usesEmulator)) return;
+
+  const emulatorUrl = await startSankhyaEmulator();
+  for (const target of targets.values()) {
+    if (target.url === EMULATOR_URL) target.url = emulatorUrl;
+    if (target.contingencyUrl === EMULATOR_URL) target.contingencyUrl = emulatorUrl;
+  }
+}
+
+const targets = loadTargets();
+await resolveEmulatorUrls(targets);
+
+/**
+ * Retorna um destino Sankhya pelo nome.
+ * @param {string} name - Nome do destino (ex: 'default')
+ * @throws {Error} Se o destino não existir
+ */
+export function getSankhyaTarget(name) {
+  const target = targets.get(name);
+  if (!target) {
+    throw new Error(`Destino Sankhya '${name}' desconhecido (disponíveis: ${[...targets.keys()].join(', ')}).`);
+  }
+  return target;
+}
+
+/**
+ * Retorna todos os destinos Sankhya configurados.
+ * @returns {Array<Object>}
+ */
+export function getSankhyaTargets() {
+  return [...targets.values()];
+}
@@ -0,0 +1,108 @@
+import fs from 'fs';
+import path from 'path';
+import { appConfig } from '../config/index.js';
+import { createLogger } from '../utils/logger.js';
+import statusManager from '../utils/statusManager.js';
+import { DEFAULT_TARGET } from './sankhya.targets.js';
+
+const logger = createLogger('SankhyaUnregistered');
+
+const FILE_PATH = path.resolve(appConfig.dataDir, 'unregistered.json');
+
+/**
+ * Relatório de veículos/iscas recebidos dos rastreadores que não existem
+ * no Sankhya (TGFVEI / AD_CADISCA). Persistido em disco e deduplicado por
+ * fonte + destino Sankhya + tipo + identificador.
+ */
+const entries = new Map();
+
+const keyFor = (sourceName, targetName, type, identifier) => `${sourceName.toLowerCase()}:${targetName}:${type}:${identifier}`;
+
+function load() {
+  if (!fs.existsSync(FILE_PATH)) return;
+  try {
+    const saved = JSON.parse(fs.readFileSync(FILE_PATH, 'utf8'));
+    for (const entry of saved) {
+      entry.target = entry.target || DEFAULT_TARGET; // Relatórios anteriores aos destinos nomeados
+      entries.set(keyFor(entry.source, entry.target, entry.type, entry.identifier), entry);
+    }
+  } catch (e) {
+    logger.warn(`Não foi possível ler ${FILE_PATH}: ${e.message}. Iniciando relatório vazio.`);
+  }
+}
+
+function save() {
+  fs.mkdirSync(path.dirname(FILE_PATH), { recursive: true });
+  const tmpPath = `${FILE_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify([...entries.values()], null, 2));
+  fs.renameSync(tmpPath, FILE_PATH);
+  statusManager.emit('unregistered-update', listUnregistered());
+}
+
+load();
+
+/**
+ * Atualiza o relatório após um ciclo do processador.
+ * @param {string} sourceName - Nome da fonte (ex: 'Atualcargo')
+ * @param {Array<Object>} unmatched - Posições sem cadastro no Sankhya
+ * @param {Array<Object>} matched - Posições com cadastro (limpam entradas antigas)
+ * @param {string} [targetName] - Destino Sankhya consultado
+ */
+export function updateUnregistered(sourceName, unmatched, matched, targetName = DEFAULT_TARGET) {
+  let changed = false;
+
+  for (const pos of matched) {
+    const key = keyFor(sourceName, targetName, pos.type, pos.identifier);
+    if (entries.delete(key)) {
+      logger.info(`[${sourceName}] ${pos.type === 'isca' ? 'Isca' : 'Veículo'} ${pos.identifier} agora está cadastrado no Sankhya ${targetName}.`);
+      changed = true;
+    }
+  }
+
+  const now = new Date().toISOString();
+  for (const pos of unmatched) {
+    const key = keyFor(sourceName, targetName, pos.type, pos.identifier);
+    const existing = entries.get(key);
+    const lastPosition = {
+      date: pos.date,
+      lat: pos.lat,
+      lon: pos.lon,
+      speed: pos.speed,
+      location: pos.location,
+    };
+
+    if (!existing) {
+      logger.warn(`[${sourceName}] Novo ${pos.type === 'isca' ? 'isca' : 'veículo'} sem cadastro no Sankhya ${targetName}: ${pos.identifier}.`);
+      entries.set(key, {
+        source: sourceName,
+        target: targetName,
+        type: pos.type,
+        identifier: pos.identifier,
+        firstSeen: now,
+        lastSeen: now,
+        occurrences: 1,
+        lastPosition,
+      });
+    } else {
+      existing.lastSeen = now;
+      existing.occurrences++;
+      if (new Date(pos.date) >= new Date(existing.lastPosition.date)) {
+        existing.lastPosition = lastPosition;
+      }
+    }
+    changed = true;
+  }
+
+  if (changed) save();
+}
+
+/**
+ * Lista os identificadores sem cadastro, do mais recente para o mais antigo.
+ * @param {Object} [options]
+ * @param {string} [options.source] - Filtra por fonte
+ */
+export function listUnregistered({ source } = {}) {
+  return [...entries.values()]
+    .filter(entry => !source || entry.source.toLowerCase() === source.toLowerCase())
+    .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+}
@@ -0,0 +1,44 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * Substitui `${VARIAVEL}` pelos valores do ambiente em todas as strings do
+ * valor (inclusive em objetos e listas), para que as credenciais não
+ * precisem ficar no arquivo.
+ * @param {*} value - Valor lido do arquivo
+ * @param {string} label - Prefixo das mensagens de erro (ex: 'Instância [SitraxNorte] inválida')
+ */
+export function expandEnv(value, label) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(`${label}: variável de ambiente ${name} não definida.`);
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => expandEnv(item, label));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandEnv(item, label)]));
+  }
+  return value;
+}
+
+/**
+ * Lê um arquivo de configuração estruturada (JSON, ou YAML se a extensão
+ * for .yaml/.yml).
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {* | null} O conteúdo, ou null se o arquivo não existir
+ */
+export function readConfigFile(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) return null;
+
+  const content = fs.readFileSync(resolved, 'utf8');
+  try {
+    return /\.ya?ml$/i.test(resolved) ? YAML.parse(content) : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Arquivo de configuração ${resolved} inválido: ${error.message}`);
+  }
+}
@@ -0,0 +1,72 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Armazena cursores de extração (ex: último pktId da Sitrax) em um arquivo JSON.
+ *
+ * O arquivo é relido a cada leitura para que ajustes feitos pela CLI de
+ * recuperação (`scripts/cursor.js`) sejam vistos pelo hub sem reiniciar.
+ * A gravação é feita via arquivo temporário + rename para não corromper o
+ * cursor em caso de queda.
+ *
+ * @param {string} name - Nome do dono do cursor (ex: 'Sitrax')
+ * @param {string} baseDir - Diretório de dados persistentes
+ */
+export function createCursorStore(name, baseDir) {
+  const dir = path.resolve(baseDir, 'cursors');
+  const filePath = path.join(dir, `${name.toLowerCase()}.json`);
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  function readAll() {
+    if (!fs.existsSync(filePath)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      throw new Error(`Arquivo de cursor corrompido (${filePath}): ${e.message}`);
+    }
+  }
+
+  function writeAll(values) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(values, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return {
+    filePath,
+
+    get(key, fallback = null) {
+      const values = readAll();
+      return values[key] ?? fallback;
+    },
+
+    set(key, value) {
+      writeAll({ ...readAll(), [key]: value });
+    },
+
+    /**
+     * Grava vários cursores de uma só vez (ex: watermark por placa).
+     */
+    merge(values) {
+      writeAll({ ...readAll(), ...values });
+    },
+
+    getAll() {
+      return readAll();
+    },
+
+    /**
+     * Remove um cursor (ou todos, se `key` não for informado).
+     */
+    reset(key) {
+      if (key === undefined) {
+        writeAll({});
+        return;
+      }
+      const values = readAll();
+      delete values[key];
+      writeAll(values);
+    },
+  };
+}
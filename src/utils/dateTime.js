@@ -58,6 +58,11 @@ export const formatForSankhyaInsert = (dateObj) => {
   return format(dateObj, DDMMYYYY_HHMMSS_FORMAT);
 };
 
+/**
+ * Formata um objeto Date para o padrão da API Atualcargo (YYYY-MM-DD HH:mm:ss).
+ */
+export const formatForAtualcargo = (dateObj) => format(dateObj, ATUALCARGO_FORMAT);
+
 /**
  * Compara uma nova data (Date object) com a última data registrada (do Sankhya Query).
  * Retorna true se a nova data for mais recente.
@@ -83,5 +88,13 @@ export const isNewer = (newDate, lastDateStr) => {
 /**
  * Cria uma pausa assíncrona
  * @param {number} ms - Tempo em milissegundos
+ * @param {AbortSignal} [signal] - Se abortado, a pausa termina imediatamente
  */
-export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
\ No newline at end of file
+export const delay = (ms, signal) => new Promise(resolve => {
+  if (signal?.aborted) return resolve();
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
\ No newline at end of file
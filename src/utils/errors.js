@@ -26,4 +26,16 @@ export class SankhyaTokenError extends TokenError {
     super(message);
     this.name = 'SankhyaTokenError';
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Erro de negócio retornado pelo Sankhya (status diferente de '1').
+ * Indica que o serviço respondeu, mas rejeitou a requisição (ex: registro inválido).
+ */
+export class SankhyaServiceError extends Error {
+  constructor(message, statusMessage) {
+    super(message);
+    this.name = 'SankhyaServiceError';
+    this.statusMessage = statusMessage;
+  }
+}
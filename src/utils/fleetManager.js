@@ -0,0 +1,90 @@
+import statusManager from './statusManager.js';
+
+/**
+ * Singleton com a última posição padronizada de cada veículo/isca,
+ * de todos os conectores. Alimenta o mapa do painel de monitoramento.
+ */
+class FleetManager {
+  constructor() {
+    this.units = new Map();
+  }
+
+  /**
+   * Registra as posições de um lote recém-salvo no outbox, antes da gravação
+   * no Sankhya: o mapa acompanha a frota mesmo com o Sankhya fora do ar.
+   * @param {string} sourceName - Nome da fonte (ex: 'Atualcargo')
+   * @param {Array<Object>} positions - Posições do lote (formato padrão)
+   */
+  updatePositions(sourceName, positions) {
+    const changed = [];
+
+    for (const pos of positions) {
+      if (!Number.isFinite(Number(pos.lat)) || !Number.isFinite(Number(pos.lon))) continue;
+      const key = `${pos.type}:${pos.identifier}`;
+      const current = this.units.get(key);
+      if (current && new Date(current.date) > new Date(pos.date)) {
+        continue; // Mantém a posição mais recente
+      }
+      const unit = {
+        key,
+        source: sourceName,
+        type: pos.type,
+        identifier: pos.identifier,
+        insertValue: pos.insertValue,
+        date: pos.date,
+        lat: Number(pos.lat),
+        lon: Number(pos.lon),
+        speed: pos.speed,
+        ignition: pos.ignition,
+        location: pos.location,
+        insertedLastCycle: false, // Até `markInserted`
+      };
+      this.units.set(key, unit);
+      changed.push(unit);
+    }
+
+    // Ativos da mesma fonte que não vieram neste ciclo não foram inseridos
+    const batchKeys = new Set(positions.map(p => `${p.type}:${p.identifier}`));
+    for (const unit of this.units.values()) {
+      if (unit.source === sourceName && !batchKeys.has(unit.key) && unit.insertedLastCycle) {
+        unit.insertedLastCycle = false;
+        changed.push(unit);
+      }
+    }
+
+    if (changed.length > 0) {
+      statusManager.emit('fleet-update', changed);
+    }
+  }
+
+  /**
+   * Marca os ativos cuja posição atual no mapa foi gravada no Sankhya.
+   * @param {Array<Object>} insertedRecords - Posições efetivamente gravadas no Sankhya
+   */
+  markInserted(insertedRecords) {
+    const changed = [];
+
+    for (const record of insertedRecords) {
+      const unit = this.units.get(`${record.type}:${record.identifier}`);
+      // Lotes antigos do outbox não marcam uma posição mais recente que ainda não foi gravada
+      if (!unit || unit.insertedLastCycle || new Date(record.date) < new Date(unit.date)) continue;
+      unit.insertedLastCycle = true;
+      changed.push(unit);
+    }
+
+    if (changed.length > 0) {
+      statusManager.emit('fleet-update', changed);
+    }
+  }
+
+  /**
+   * Retorna a última posição conhecida de todos os ativos.
+   */
+  getUnits() {
+    return [...this.units.values()];
+  }
+}
+
+// Exporta uma instância única (singleton)
+const fleetManager = new FleetManager();
+export default fleetManager;
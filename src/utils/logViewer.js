@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import readline from 'readline';
+import { Writable } from 'stream';
+import { transports } from 'winston';
+import logger, { logDir } from './logger.js';
+import statusManager from './statusManager.js';
+
+// Sala do Socket.io que recebe as linhas de log ao vivo (somente administradores)
+export const LOG_ROOM = 'logs';
+
+// Máximo de resultados guardados por busca (os mais recentes)
+const MAX_MATCHES = 5000;
+
+// app-2025-11-07.log, app-2025-11-07.log.1, app-2025-11-07.log.gz, ...
+const APP_LOG_PATTERN = /^app-(\d{4}-\d{2}-\d{2})\.log(?:\.(\d+))?(?:\.gz)?$/;
+
+/**
+ * Acompanhamento ao vivo: um transporte do winston recebe as mesmas linhas
+ * JSON gravadas em app-%DATE%.log e as repassa à sala 'logs' do Socket.io.
+ * Não depende do nome do arquivo atual, então sobrevive à rotação.
+ */
+export function startLiveTail() {
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      for (const line of chunk.toString().split('\n')) {
+        if (!line) continue;
+        try {
+          statusManager.emitToRoom(LOG_ROOM, 'log-entry', JSON.parse(line));
+        } catch (e) {
+          // Linha fora do formato JSON: ignora
+        }
+      }
+      callback();
+    },
+  });
+  logger.add(new transports.Stream({ stream }));
+}
+
+/**
+ * Lista os arquivos app-*.log(.gz) cujo dia pode conter entradas do período,
+ * em ordem cronológica.
+ */
+async function listAppLogFiles(from, to) {
+  const files = await fs.promises.readdir(logDir);
+  // O dia do nome do arquivo é local; uma folga de 1 dia cobre o fuso
+  const fromDay = from ? new Date(from.getTime() - 86400000).toISOString().slice(0, 10) : null;
+  const toDay = to ? new Date(to.getTime() + 86400000).toISOString().slice(0, 10) : null;
+
+  return files
+    .map(file => ({ file, match: APP_LOG_PATTERN.exec(file) }))
+    .filter(({ match }) => match
+      && (!fromDay || match[1] >= fromDay)
+      && (!toDay || match[1] <= toDay))
+    .sort((a, b) => a.match[1].localeCompare(b.match[1])
+      || Number(a.match[2] || 0) - Number(b.match[2] || 0))
+    .map(({ file }) => path.join(logDir, file));
+}
+
+/**
+ * Lê um arquivo de log (texto ou .gz) linha a linha.
+ */
+function readLines(filePath) {
+  let input = fs.createReadStream(filePath);
+  if (filePath.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+  return readline.createInterface({ input, crlfDelay: Infinity });
+}
+
+/**
+ * Busca entradas nos logs da aplicação (inclusive os rotacionados e .gz).
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - Data/hora ISO inicial
+ * @param {string} [filters.to] - Data/hora ISO final
+ * @param {string} [filters.level] - Nível exato (error, warn, info, ...)
+ * @param {string} [filters.service] - Serviço (ex: 'SankhyaAPI', 'Job:Sitrax')
+ * @param {string} [filters.q] - Texto livre (mensagem e stack, sem diferenciar maiúsculas)
+ * @param {number} [filters.limit] - Máximo de registros (padrão 100)
+ * @param {number} [filters.offset] - Deslocamento para paginação
+ * @returns {Promise<{total: number, truncated: boolean, results: Array<Object>}>}
+ *   Resultados do mais recente para o mais antigo. `truncated` indica que só
+ *   as MAX_MATCHES entradas mais recentes foram consideradas.
+ */
+export async function searchLogs({ from, to, level, service, q, limit = 100, offset = 0 } = {}) {
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  const fromIso = fromDate?.toISOString();
+  const toIso = toDate?.toISOString();
+  const serviceLower = service?.toLowerCase();
+  const text = q?.toLowerCase();
+
+  let matches = [];
+  let truncated = false;
+
+  for (const filePath of await listAppLogFiles(fromDate, toDate)) {
+    for await (const line of readLines(filePath)) {
+      if (!line) continue;
+      if (text && !line.toLowerCase().includes(text)) continue; // Filtro rápido antes do parse
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        continue; // Linha parcial
+      }
+
+      if ((fromIso && entry.timestamp < fromIso)
+        || (toIso && entry.timestamp > toIso)
+        || (level && entry.level !== level)
+        || (serviceLower && entry.service?.toLowerCase() !== serviceLower)
+        || (text && !`${entry.message} ${entry.stack || ''}`.toLowerCase().includes(text))) {
+        continue;
+      }
+
+      matches.push(entry);
+      if (matches.length > MAX_MATCHES * 2) {
+        matches = matches.slice(-MAX_MATCHES);
+        truncated = true;
+      }
+    }
+  }
+
+  if (matches.length > MAX_MATCHES) {
+    matches = matches.slice(-MAX_MATCHES);
+    truncated = true;
+  }
+  matches.reverse();
+
+  return {
+    total: matches.length,
+    truncated,
+    results: matches.slice(offset, offset + limit),
+  };
+}
@@ -6,7 +6,7 @@ import fs from 'fs';
 const { combine, timestamp, printf, colorize, json } = format;
 
 // Garante que o diretório de logs exista
-const logDir = 'logs';
+export const logDir = path.resolve('logs');
 if (!fs.existsSync(logDir)) {
   fs.mkdirSync(logDir);
 }
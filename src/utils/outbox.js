@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { createLogger } from './logger.js';
+
+/**
+ * Outbox persistente em disco (arquivo append-only JSONL).
+ *
+ * Cada lote mapeado é gravado como uma linha `add` antes de ir ao Sankhya e
+ * só é removido (linha `ack`) após a inserção ser concluída. Com vários destinos
+ * Sankhya, cada entrega é registrada (linha `delivered`) para que uma nova
+ * tentativa envie o lote apenas aos destinos que falharam. Na inicialização
+ * o arquivo é relido e os lotes pendentes são reprocessados na ordem original.
+ *
+ * @param {string} name - Nome do job dono do outbox (ex: 'Atualcargo')
+ * @param {string} baseDir - Diretório onde o arquivo será gravado
+ */
+export function createOutbox(name, baseDir) {
+  const logger = createLogger(`Outbox:${name}`);
+  const dir = path.resolve(baseDir, 'outbox');
+  const filePath = path.join(dir, `${name.toLowerCase()}.jsonl`);
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Lotes pendentes, em ordem de chegada
+  const pending = [];
+
+  /**
+   * Grava uma linha no final do arquivo e força o flush em disco.
+   */
+  function append(entry) {
+    const fd = fs.openSync(filePath, 'a');
+    try {
+      fs.writeSync(fd, `${JSON.stringify(entry)}\n`);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Reescreve o arquivo apenas com os lotes pendentes.
+   * A troca é feita via rename para não corromper o arquivo em caso de queda.
+   */
+  function compact() {
+    const tmpPath = `${filePath}.tmp`;
+    const content = pending.map(batch => JSON.stringify({ op: 'add', ...batch })).join('\n');
+    fs.writeFileSync(tmpPath, content ? `${content}\n` : '');
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Reconstrói a lista de pendências a partir do arquivo.
+   */
+  function load() {
+    if (!fs.existsSync(filePath)) return;
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+    const batches = new Map();
+
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        // Linha parcial (queda durante a escrita). Ignora.
+        logger.warn(`Linha inválida ignorada no outbox: ${line.substring(0, 80)}...`);
+        continue;
+      }
+      if (entry.op === 'add') {
+        batches.set(entry.id, {
+          id: entry.id,
+          createdAt: entry.createdAt,
+          // Arquivos anteriores ao outbox genérico gravavam o lote em `positions`
+          items: (entry.items ?? entry.positions ?? []).map(item => ({ ...item, date: new Date(item.date) })),
+          delivered: entry.delivered || [],
+        });
+      } else if (entry.op === 'delivered') {
+        const batch = batches.get(entry.id);
+        if (batch && !batch.delivered.includes(entry.target)) batch.delivered.push(entry.target);
+      } else if (entry.op === 'ack') {
+        batches.delete(entry.id);
+      }
+    }
+
+    pending.push(...batches.values());
+    compact();
+
+    if (pending.length > 0) {
+      logger.warn(`${pending.length} lote(s) pendente(s) recuperado(s) do disco. Serão reprocessados.`);
+    }
+  }
+
+  load();
+
+  return {
+    /**
+     * Adiciona um lote ao final do outbox.
+     * @param {Array<Object>} items - Registros com campo `date` (ex: posições no formato padrão)
+     * @returns {Object} O lote criado
+     */
+    enqueue(items) {
+      const batch = { id: randomUUID(), createdAt: new Date().toISOString(), items, delivered: [] };
+      append({ op: 'add', ...batch });
+      pending.push(batch);
+      return batch;
+    },
+
+    /**
+     * Retorna o lote pendente mais antigo (ou null).
+     */
+    peek() {
+      return pending[0] || null;
+    },
+
+    /**
+     * Registra que um lote já foi gravado em um destino Sankhya.
+     * @param {string} id - ID do lote
+     * @param {string} target - Nome do destino (ver `sankhya.targets.js`)
+     */
+    markDelivered(id, target) {
+      const batch = pending.find(item => item.id === id);
+      if (!batch || batch.delivered.includes(target)) return;
+      append({ op: 'delivered', id, target });
+      batch.delivered.push(target);
+    },
+
+    /**
+     * Remove um lote após a inserção no Sankhya ter sido concluída.
+     * @param {string} id - ID do lote
+     */
+    ack(id) {
+      const index = pending.findIndex(batch => batch.id === id);
+      if (index === -1) return;
+      pending.splice(index, 1);
+
+      if (pending.length === 0) {
+        compact(); // Nada pendente: zera o arquivo
+      } else {
+        append({ op: 'ack', id });
+      }
+    },
+
+    /**
+     * Resumo das pendências, usado pelo painel.
+     */
+    getBacklog() {
+      return {
+        batches: pending.length,
+        items: pending.reduce((total, batch) => total + batch.items.length, 0),
+        oldest: pending[0]?.createdAt || null,
+      };
+    },
+  };
+}
@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { appConfig } from '../config/index.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('RawArchive');
+
+/**
+ * Arquivo das respostas brutas das APIs dos fornecedores, antes do mapeamento.
+ *
+ * Cada ciclo de um job gera (se recebeu alguma resposta) um arquivo
+ * `<dataDir>/raw/<job>/<AAAA-MM-DD>/<timestamp>_<cycleId>.json.gz` com as
+ * respostas na ordem em que chegaram. O `cycleId` é o mesmo `id` do registro
+ * da execução em `runHistory.js`. Pastas de dias fora da retenção são removidas.
+ */
+const ARCHIVE_DIR = path.resolve(appConfig.dataDir, 'raw');
+const { rawArchiveEnabled, rawArchiveRetentionDays } = appConfig;
+
+// Os três segmentos vêm da URL no download: apenas nomes gerados por este módulo
+const JOB_PATTERN = /^[A-Za-z0-9_-]+$/;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FILE_PATTERN = /^(\d{8}T\d{9}Z)_([A-Za-z0-9-]+)\.json\.gz$/;
+
+function compactTimestamp(date) {
+  return date.toISOString().replace(/[-:.]/g, '');
+}
+
+function parseTimestamp(value) {
+  const [, y, mo, d, h, mi, s, ms] = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/);
+  return `${y}-${mo}-${d}T${h}:${mi}:${s}.${ms}Z`;
+}
+
+function readDir(dir) {
+  try {
+    return fs.readdirSync(dir);
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Cria o arquivo de respostas brutas de um job.
+ * @param {string} jobName - Nome do job (ex: 'SitraxNorte')
+ */
+export function createRawArchive(jobName) {
+  const dir = path.join(ARCHIVE_DIR, jobName);
+
+  return {
+    /**
+     * Inicia a coleta das respostas de um ciclo.
+     * `record` é entregue ao conector (`fetchPositions({ archive })`);
+     * `save` grava o que foi coletado, inclusive quando a busca falhou no meio.
+     * @param {string} cycleId - Id da execução (ver `runHistory.startRun`)
+     */
+    startCycle(cycleId) {
+      const startedAt = new Date();
+      const responses = [];
+
+      return {
+        /**
+         * Guarda uma resposta da API exatamente como recebida.
+         * @param {Object} request - Identificação da chamada, sem credenciais (ex: { method, path, params })
+         * @param {*} data - Corpo da resposta
+         */
+        record(request, data) {
+          responses.push({ request, receivedAt: new Date().toISOString(), data });
+        },
+
+        /**
+         * Grava o arquivo do ciclo.
+         * @param {Array<Object>} [positions] - Posições devolvidas pelo conector, arquivadas
+         *   quando ele não registrou as respostas (conectores que não usam `archive`)
+         * @returns {string | null} Caminho relativo do arquivo, ou null se nada foi gravado
+         */
+        save(positions) {
+          if (!rawArchiveEnabled) return null;
+          if (responses.length === 0 && positions?.length > 0) {
+            responses.push({ request: { method: 'fetchPositions' }, receivedAt: new Date().toISOString(), data: positions });
+          }
+          if (responses.length === 0) return null;
+
+          const day = startedAt.toISOString().slice(0, 10);
+          const file = `${compactTimestamp(startedAt)}_${cycleId}.json.gz`;
+          try {
+            fs.mkdirSync(path.join(dir, day), { recursive: true });
+            const content = JSON.stringify({ job: jobName, cycleId, startedAt: startedAt.toISOString(), responses });
+            fs.writeFileSync(path.join(dir, day, file), zlib.gzipSync(content));
+            return `${jobName}/${day}/${file}`;
+          } catch (error) {
+            // O arquivo é auxiliar: uma falha aqui não interrompe o ciclo
+            logger.error(`[${jobName}] Falha ao arquivar as respostas do ciclo ${cycleId}: ${error.message}`);
+            return null;
+          }
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Lista os arquivos de respostas brutas, mais recentes primeiro.
+ * @param {Object} [filters]
+ * @param {string} [filters.job] - Nome do job (sem diferenciar maiúsculas)
+ * @param {string} [filters.cycleId] - Id da execução
+ * @param {string} [filters.from] - Data ISO inicial
+ * @param {string} [filters.to] - Data ISO final
+ * @param {number} [filters.limit] - Máximo de arquivos (padrão 200)
+ * @returns {Array<{job: string, day: string, file: string, cycleId: string, archivedAt: string, size: number}>}
+ */
+export function listRawArchives({ job, cycleId, from, to, limit = 200 } = {}) {
+  const fromDay = from ? new Date(from).toISOString().slice(0, 10) : null;
+  const toDay = to ? new Date(to).toISOString().slice(0, 10) : null;
+  const results = [];
+
+  for (const jobDir of readDir(ARCHIVE_DIR)) {
+    if (job && jobDir.toLowerCase() !== job.toLowerCase()) continue;
+
+    for (const day of readDir(path.join(ARCHIVE_DIR, jobDir))) {
+      if (!DAY_PATTERN.test(day) || (fromDay && day < fromDay) || (toDay && day > toDay)) continue;
+
+      for (const file of readDir(path.join(ARCHIVE_DIR, jobDir, day))) {
+        const match = file.match(FILE_PATTERN);
+        if (!match || (cycleId && match[2] !== cycleId)) continue;
+        const archivedAt = parseTimestamp(match[1]);
+        if ((from && archivedAt < new Date(from).toISOString()) || (to && archivedAt > new Date(to).toISOString())) continue;
+
+        const { size } = fs.statSync(path.join(ARCHIVE_DIR, jobDir, day, file));
+        results.push({ job: jobDir, day, file, cycleId: match[2], archivedAt, size });
+      }
+    }
+  }
+
+  return results
+    .sort((a, b) => b.archivedAt.localeCompare(a.archivedAt))
+    .slice(0, limit);
+}
+
+/**
+ * Resolve o caminho de um arquivo a partir dos segmentos vindos da URL.
+ * @returns {string | null} Caminho absoluto, ou null se inválido/inexistente
+ */
+export function resolveRawArchive(job, day, file) {
+  if (!JOB_PATTERN.test(job) || !DAY_PATTERN.test(day) || !FILE_PATTERN.test(file)) return null;
+  const filePath = path.join(ARCHIVE_DIR, job, day, file);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Lê um arquivo já resolvido por `resolveRawArchive` (conteúdo descompactado).
+ * @param {string} filePath - Caminho absoluto
+ * @returns {Object} { job, cycleId, startedAt, responses }
+ */
+export function readRawArchive(filePath) {
+  return JSON.parse(zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8'));
+}
+
+/**
+ * Remove as pastas de dias fora da retenção (`rawArchiveRetentionDays`).
+ */
+function prune() {
+  const cutoffDay = new Date(Date.now() - rawArchiveRetentionDays * 86400000).toISOString().slice(0, 10);
+  let removed = 0;
+
+  for (const jobDir of readDir(ARCHIVE_DIR)) {
+    for (const day of readDir(path.join(ARCHIVE_DIR, jobDir))) {
+      if (!DAY_PATTERN.test(day) || day >= cutoffDay) continue;
+      fs.rmSync(path.join(ARCHIVE_DIR, jobDir, day), { recursive: true, force: true });
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    logger.info(`Retenção de ${rawArchiveRetentionDays} dia(s): ${removed} pasta(s) de respostas brutas removida(s).`);
+  }
+}
+
+prune();
+setInterval(prune, 3600000).unref();
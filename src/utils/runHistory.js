@@ -0,0 +1,134 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { appConfig } from '../config/index.js';
+import { createLogger } from './logger.js';
+import statusManager from './statusManager.js';
+
+const logger = createLogger('RunHistory');
+
+const FILE_PATH = path.resolve(appConfig.dataDir, 'runs.jsonl');
+const { runHistoryRetentionDays, runHistoryMaxEntries } = appConfig;
+
+// Execuções em ordem cronológica (mais antiga primeiro)
+let runs = [];
+// Linhas no arquivo: inclui as já descartadas da memória até a próxima reescrita
+let fileLines = 0;
+
+function load() {
+  if (!fs.existsSync(FILE_PATH)) return;
+  const lines = fs.readFileSync(FILE_PATH, 'utf8').split('\n').filter(Boolean);
+  fileLines = lines.length;
+  for (const line of lines) {
+    try {
+      runs.push(JSON.parse(line));
+    } catch (e) {
+      // Linha parcial (queda durante a escrita). Ignora.
+    }
+  }
+  prune(true);
+}
+
+/**
+ * Aplica a retenção (dias e quantidade máxima) e reescreve o arquivo
+ * quando as linhas descartadas passam de 20% do máximo, para não regravar
+ * o arquivo a cada execução.
+ */
+function prune(forceRewrite = false) {
+  const cutoff = new Date(Date.now() - runHistoryRetentionDays * 86400000).toISOString();
+  runs = runs.filter(run => run.startedAt >= cutoff);
+  if (runs.length > runHistoryMaxEntries) {
+    runs = runs.slice(runs.length - runHistoryMaxEntries);
+  }
+
+  if (forceRewrite || fileLines - runs.length > runHistoryMaxEntries * 0.2) {
+    const tmpPath = `${FILE_PATH}.tmp`;
+    const content = runs.map(run => JSON.stringify(run)).join('\n');
+    fs.writeFileSync(tmpPath, content ? `${content}\n` : '');
+    fs.renameSync(tmpPath, FILE_PATH);
+    fileLines = runs.length;
+  }
+}
+
+fs.mkdirSync(path.dirname(FILE_PATH), { recursive: true });
+load();
+
+/**
+ * Cria o registro de uma nova execução de job, com os contadores zerados.
+ * @param {string} jobName - Nome do job (ex: 'Atualcargo')
+ */
+export function startRun(jobName) {
+  return {
+    id: randomUUID(),
+    job: jobName,
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    durationMs: null,
+    status: 'empty', // Passa a 'success' ou 'error' ao longo do ciclo
+    fetched: 0,
+    mapped: 0,
+    discarded: 0,
+    rejected: 0, // Barradas pelas regras de qualidade (ver quality/quality.filter.js)
+    rejectedByRule: {},
+    unmatched: 0,
+    notNewer: 0,
+    inserted: 0,
+    quarantined: 0,
+    sankhyaUrl: null,
+    sankhyaTarget: null,
+    targets: {}, // Resultado por destino Sankhya (ver sankhya.targets.js)
+    rawArchive: null, // Arquivo das respostas brutas do ciclo (ver rawArchive.js)
+    dryRun: false, // Simulação: nada foi gravado (ver sankhya.dryrun.js)
+    errorClass: null,
+    errorMessage: null,
+  };
+}
+
+/**
+ * Finaliza e grava uma execução no histórico.
+ * @param {Object} run - Registro criado por `startRun`
+ */
+export function recordRun(run) {
+  run.endedAt = run.endedAt || new Date().toISOString();
+  run.durationMs = new Date(run.endedAt) - new Date(run.startedAt);
+
+  try {
+    fs.appendFileSync(FILE_PATH, `${JSON.stringify(run)}\n`);
+    fileLines++;
+    runs.push(run);
+    prune();
+  } catch (e) {
+    logger.error(`Falha ao gravar o histórico de execuções: ${e.message}`);
+  }
+  statusManager.emit('run-recorded', run);
+}
+
+/**
+ * Consulta o histórico de execuções (mais recentes primeiro).
+ * @param {Object} [filters]
+ * @param {string} [filters.job] - Nome do job
+ * @param {string} [filters.status] - 'success' | 'empty' | 'error'
+ * @param {string} [filters.errorClass] - Classe do erro (ex: 'SankhyaTokenError')
+ * @param {string} [filters.from] - Data/hora ISO inicial (startedAt)
+ * @param {string} [filters.to] - Data/hora ISO final (startedAt)
+ * @param {number} [filters.limit] - Máximo de registros (padrão 100)
+ * @param {number} [filters.offset] - Deslocamento para paginação
+ * @returns {{total: number, runs: Array<Object>}}
+ */
+export function listRuns({ job, status, errorClass, from, to, limit = 100, offset = 0 } = {}) {
+  const fromIso = from ? new Date(from).toISOString() : null;
+  const toIso = to ? new Date(to).toISOString() : null;
+
+  const filtered = runs.filter(run =>
+    (!job || run.job.toLowerCase() === job.toLowerCase())
+    && (!status || run.status === status)
+    && (!errorClass || run.errorClass === errorClass)
+    && (!fromIso || run.startedAt >= fromIso)
+    && (!toIso || run.startedAt <= toIso)
+  ).reverse();
+
+  return {
+    total: filtered.length,
+    runs: filtered.slice(offset, offset + limit),
+  };
+}
@@ -0,0 +1,26 @@
+/**
+ * Identificadores da frota do conector de simulação (`simulator.connector.js`).
+ * Compartilhados com a carga do emulador do Sankhya (`sankhya.emulator.js`),
+ * que cadastra a frota simulada sem precisar listar cada placa.
+ */
+
+// Fabricante das iscas simuladas (AD_CADISCA.FABRICANTE)
+export const SIMULATED_FABRICANTE_ID = '99';
+
+/**
+ * Placa do n-ésimo veículo simulado (a partir de 1). Ex: SIM00001
+ * @param {number} n
+ */
+export const simulatedPlate = (n) => `SIM${String(n).padStart(5, '0')}`;
+
+/**
+ * Número (NUMISCA) da n-ésima isca simulada (a partir de 1). Ex: 7000001
+ * @param {number} n
+ */
+export const simulatedIscaNumber = (n) => String(7000000 + n);
+
+/**
+ * Número de série (equipamento) da n-ésima isca simulada, usado no formato Sitrax.
+ * @param {number} n
+ */
+export const simulatedIscaSerial = (n) => 8000000 + n;
@@ -25,7 +25,7 @@ class StatusManager {
   /**
    * Atualiza o status de um job específico.
    * @param {string} jobName - O nome do job (ex: 'Atualcargo')
-   * @param {'idle' | 'running' | 'error'} status - O novo estado
+   * @param {'idle' | 'running' | 'error' | 'paused'} status - O novo estado
    * @param {string} message - A mensagem de status
    * @param {number | null} [nextRunTimestamp] - O timestamp (Date.now() + interval) da próxima execução
    */
@@ -34,8 +34,10 @@ class StatusManager {
     
     // Se o status não for 'idle', limpa o timer anterior
     const clearNextRun = status !== 'idle';
+    const previous = this.status[jobKey] || {};
 
     this.status[jobKey] = {
+      ...previous,
       name: jobName,
       status: status,
       message: message,
@@ -46,8 +48,57 @@ class StatusManager {
     };
     
     // Envia a atualização para todos os clientes (navegadores) conectados
+    this.broadcast();
+  }
+
+  /**
+   * Atualiza informações complementares de um job sem alterar o seu estado
+   * (ex: `backlog` do outbox, total em `quarantine`).
+   * @param {string} jobName - O nome do job (ex: 'Atualcargo')
+   * @param {Object} details - Campos a mesclar no status do job
+   */
+  setJobDetails(jobName, details) {
+    const jobKey = jobName.toLowerCase();
+    this.status[jobKey] = {
+      name: jobName,
+      status: 'idle',
+      message: '',
+      lastUpdate: new Date().toISOString(),
+      nextRun: null,
+      ...this.status[jobKey],
+      ...details,
+    };
+    this.broadcast();
+  }
+
+  /**
+   * Envia o status atual para todos os clientes conectados.
+   */
+  broadcast() {
+    this.emit('status-update', this.status);
+  }
+
+  /**
+   * Envia um evento arbitrário para todos os clientes conectados.
+   * @param {string} event - Nome do evento (ex: 'unregistered-update')
+   * @param {*} payload - Dados do evento
+   */
+  emit(event, payload) {
+    if (this.io) {
+      this.io.emit(event, payload);
+    }
+  }
+
+  /**
+   * Envia um evento apenas aos clientes inscritos em uma sala do Socket.io
+   * (ex: 'logs', restrita a administradores).
+   * @param {string} room - Nome da sala
+   * @param {string} event - Nome do evento
+   * @param {*} payload - Dados do evento
+   */
+  emitToRoom(room, event, payload) {
     if (this.io) {
-      this.io.emit('status-update', this.status);
+      this.io.to(room).emit(event, payload);
     }
   }
 